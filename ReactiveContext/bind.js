@@ -0,0 +1,282 @@
+/**
+ * Attributes that declare a binding
+ * @constant {string[]}
+ */
+const BINDING_ATTRIBUTES = ['data-bind', 'data-bind-attr', 'data-bind-class', 'data-model']
+
+/**
+ * Reads a dotted path from a context, looking Map entries up by key.
+ *
+ * @param {ReactiveContext} context - Context to read from
+ * @param {string} path - Dotted path (e.g. 'cart.total')
+ * @returns {*} Value at the path, or undefined if it doesn't exist
+ */
+const readPath = (context, path) => {
+    let value = context
+
+    for (const segment of path.split('.')) {
+        if (value === null || value === undefined) return undefined
+
+        value = value instanceof Map ? value.get(segment) : value[segment]
+    }
+
+    return value
+}
+
+/**
+ * Writes a value to a dotted path of a context through its proxies.
+ *
+ * @param {ReactiveContext} context - Context to write to
+ * @param {string} path - Dotted path (e.g. 'form.email')
+ * @param {*} value - Value to write
+ * @throws {Error} If the parent of the path isn't an object
+ */
+const writePath = (context, path, value) => {
+    const index = path.lastIndexOf('.')
+    const key = path.slice(index + 1)
+    const parent = index === -1 ? context : readPath(context, path.slice(0, index))
+
+    if (parent === null || typeof parent !== 'object') {
+        throw new Error(`Cannot write to '${path}'`)
+    }
+
+    if (parent instanceof Map) {
+        parent.set(key, value)
+    } else {
+        parent[key] = value
+    }
+}
+
+/**
+ * Parses a `name: path` list such as `"href: link.url; title: link.title"`.
+ *
+ * @param {string} source - Attribute value
+ * @returns {Array<[string, string]>} Name and path pairs
+ */
+const parsePairs = (source) => {
+    return source
+        .split(/[;,]/)
+        .map(pair => pair.trim())
+        .filter(Boolean)
+        .map(pair => {
+            // Split on the last colon so class names like 'md:hidden' work
+            const index = pair.lastIndexOf(':')
+
+            if (index === -1) {
+                throw new SyntaxError(`Invalid binding '${pair}', expected 'name: path'`)
+            }
+
+            return [pair.slice(0, index).trim(), pair.slice(index + 1).trim()]
+        })
+}
+
+/**
+ * Converts Maps and Sets (at any depth) to objects and arrays, so they can be
+ * rendered as JSON.
+ *
+ * @param {string} key - Property name, from JSON.stringify()
+ * @param {*} value - Property value
+ * @returns {*} Value to stringify
+ */
+const replaceCollections = (key, value) => {
+    if (value instanceof Map) return Object.fromEntries(value)
+    if (value instanceof Set) return [...value]
+
+    return value
+}
+
+/**
+ * Renders a value as text content. Objects, arrays, Maps and Sets are shown
+ * as JSON.
+ *
+ * @param {*} value - Bound value
+ * @returns {string} Text to display
+ */
+const toText = (value) => {
+    if (value === null || value === undefined) return ''
+    if (typeof value === 'object' && !(value instanceof Date)) return JSON.stringify(value, replaceCollections)
+
+    return String(value)
+}
+
+/**
+ * Whether an element is a checkbox or radio input.
+ *
+ * @param {Element} element - Element to check
+ * @returns {boolean} True for checkboxes and radios
+ */
+const isCheckable = (element) => {
+    return element.type === 'checkbox' || element.type === 'radio'
+}
+
+/**
+ * Copies a state value into a form control.
+ *
+ * @param {HTMLInputElement|HTMLSelectElement|HTMLTextAreaElement} element - Form control
+ * @param {*} value - Bound value
+ */
+const renderModel = (element, value) => {
+    if (element.type === 'checkbox') {
+        element.checked = Array.isArray(value) ? value.includes(element.value) : Boolean(value)
+    } else if (element.type === 'radio') {
+        element.checked = value !== null && value !== undefined && String(value) === element.value
+    } else if (element.multiple) {
+        for (const option of element.options) {
+            option.selected = Array.isArray(value) && value.includes(option.value)
+        }
+    } else {
+        const text = value === null || value === undefined ? '' : String(value)
+
+        // Only touch the value when it differs, so the caret doesn't jump while typing
+        if (element.value !== text) element.value = text
+    }
+}
+
+/**
+ * Reads the value a form control should write back to the state.
+ *
+ * @param {HTMLInputElement|HTMLSelectElement|HTMLTextAreaElement} element - Form control
+ * @param {*} current - Current state value
+ * @returns {*} Value to write
+ */
+const readModel = (element, current) => {
+    if (element.type === 'checkbox') {
+        if (!Array.isArray(current)) return element.checked
+
+        const others = current.filter(item => item !== element.value)
+
+        return element.checked ? [...others, element.value] : others
+    }
+
+    if (element.multiple) {
+        return [...element.selectedOptions].map(option => option.value)
+    }
+
+    if (element.type === 'number' || element.type === 'range') {
+        return element.value === '' ? null : element.valueAsNumber
+    }
+
+    return element.value
+}
+
+/**
+ * Subscribes a render function to every change that can affect a path: the
+ * property itself, anything nested below it, and the replacement of any of
+ * its ancestors.
+ *
+ * @param {ReactiveContext} context - Context to listen on
+ * @param {string} path - Dotted path
+ * @param {Function} render - Function to run on change
+ * @returns {Function} Unsubscribe function
+ */
+const subscribe = (context, path, render) => {
+    // Generic change events of the whole field
+    const event = `${path.split('.')[0]}.**:change`
+    const listener = (data) => {
+        const changed = String(data.path)
+
+        if (changed === path || changed.startsWith(`${path}.`) || path.startsWith(`${changed}.`)) {
+            render()
+        }
+    }
+
+    return context.on(event, listener)
+}
+
+/**
+ * Connects a ReactiveContext to the DOM through data attributes.
+ *
+ * - `data-bind="path"` keeps the element's text content in sync.
+ * - `data-bind-attr="name: path; ..."` sets attributes (`false`, `null` and
+ *   `undefined` remove them, `true` sets them empty).
+ * - `data-bind-class="name: path; ..."` toggles classes on truthy values.
+ * - `data-model="path"` binds form controls both ways.
+ *
+ * Paths start with a reactive or computed field name. Every bound element
+ * under `root` (and `root` itself) is rendered right away and re-rendered on
+ * each matching `:change` event.
+ *
+ * @param {ReactiveContext} context - Context to bind
+ * @param {ParentNode} [root=document] - Element or document to scan
+ * @returns {Function} unbind() function that removes every listener
+ * @throws {Error} If there is no root to bind to
+ *
+ * @example
+ * <span data-bind="cart.total"></span>
+ * <a data-bind-attr="href: link.url; title: link.title"></a>
+ * <nav data-bind-class="open: ui.menu_open"></nav>
+ * <input data-model="form.email">
+ *
+ * const unbind = bindDom(ctx, document.querySelector('#app'))
+ *
+ * // Later
+ * unbind()
+ */
+export const bindDom = (context, root = globalThis.document) => {
+    if (!root?.querySelectorAll) {
+        throw new Error('bindDom: a root element or document is required.')
+    }
+
+    const selector = BINDING_ATTRIBUTES.map(attribute => `[${attribute}]`).join(',')
+    const elements = [...root.querySelectorAll(selector)]
+    const cleanups = []
+
+    if (root.matches?.(selector)) elements.unshift(root)
+
+    const bind = (path, render) => {
+        render()
+        cleanups.push(subscribe(context, path, render))
+    }
+
+    for (const element of elements) {
+        const text_path = element.getAttribute('data-bind')
+        const attributes = element.getAttribute('data-bind-attr')
+        const classes = element.getAttribute('data-bind-class')
+        const model_path = element.getAttribute('data-model')
+
+        if (text_path) {
+            bind(text_path, () => {
+                element.textContent = toText(readPath(context, text_path))
+            })
+        }
+
+        for (const [name, path] of attributes ? parsePairs(attributes) : []) {
+            bind(path, () => {
+                const value = readPath(context, path)
+
+                if (value === false || value === null || value === undefined) {
+                    element.removeAttribute(name)
+                } else {
+                    element.setAttribute(name, value === true ? '' : String(value))
+                }
+            })
+        }
+
+        for (const [name, path] of classes ? parsePairs(classes) : []) {
+            bind(path, () => {
+                element.classList.toggle(name, Boolean(readPath(context, path)))
+            })
+        }
+
+        if (model_path) {
+            const render = () => renderModel(element, readPath(context, model_path))
+            const event = isCheckable(element) || element.tagName === 'SELECT' ? 'change' : 'input'
+            const listener = () => {
+                if (element.type === 'radio' && !element.checked) return
+
+                writePath(context, model_path, readModel(element, readPath(context, model_path)))
+
+                // Resync in case middleware transformed or rejected the write
+                render()
+            }
+
+            bind(model_path, render)
+            element.addEventListener(event, listener)
+            cleanups.push(() => element.removeEventListener(event, listener))
+        }
+    }
+
+    return () => {
+        for (const cleanup of cleanups.splice(0)) cleanup()
+    }
+}
@@ -1,3 +1,11 @@
+import { isPlainObject } from './values.js'
+import { checkRule, matchPrefix, collectTargets } from './validation.js'
+import { toPointer, parsePointer, toJsonValue, fromJsonValue, arrayOperations, isDeepEqual } from './patch.js'
+
+export { LocalStorageAdapter, MemoryStorageAdapter } from './persistence.js'
+export { ReactiveSync, BroadcastChannelTransport, MessagePortTransport, LoopbackTransport } from './sync.js'
+export { bindDom } from './bind.js'
+
 /**
  * Array methods that mutate the array and should trigger events
  * @constant {string[]}
@@ -7,12 +15,241 @@ const ARRAY_MUTATORS = [
     'splice', 'sort', 'reverse', 'fill', 'copyWithin'
 ]
 
+/**
+ * Map and Set methods that mutate the collection and should trigger events
+ * @constant {string[]}
+ */
+const COLLECTION_MUTATORS = ['set', 'add', 'delete', 'clear']
+
+/**
+ * Map and Set methods that iterate over the collection
+ * @constant {Array<string|symbol>}
+ */
+const COLLECTION_ITERATORS = ['forEach', 'keys', 'values', 'entries', Symbol.iterator]
+
+/**
+ * Compiles a glob-style event pattern into a RegExp.
+ *
+ * `*` matches a single segment (anything but `.` and `:`), while `**` matches
+ * any number of dotted namespace segments (never crossing a `:`). A `.**`
+ * suffix also matches zero segments, so `state.**:change` matches
+ * `state:change` as well as `state.user.address:change`.
+ *
+ * @param {string} pattern - Event pattern (e.g. 'state.*:change', '**:read')
+ * @returns {RegExp} Anchored regular expression
+ */
+const compilePattern = (pattern) => {
+    const source = pattern
+        .split(/(\*\*|\*)/)
+        .map(part => {
+            if (part === '**') return '[^:]*'
+            if (part === '*') return '[^.:]*'
+            return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+        })
+        .join('')
+        .replace(/\\\.\[\^:\]\*/g, '(?:\\.[^:]*)?')
+
+    return new RegExp(`^${source}$`)
+}
+
+/**
+ * Compares two values with `Object.is`, treating Dates with the same time as equal.
+ *
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if both values are the same
+ */
+const isSameValue = (a, b) => {
+    if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime()
+
+    return Object.is(a, b)
+}
+
+/**
+ * Combines the types of two coalesced changes on the same property.
+ *
+ * @param {string} first - Type of the first change
+ * @param {string} last - Type of the last change
+ * @returns {string} Type of the combined change
+ */
+const mergeChangeType = (first, last) => {
+    if (first === 'add') return last === 'delete' ? 'delete' : 'add'
+    if (last === 'delete') return 'delete'
+
+    return 'update'
+}
+
+/**
+ * Checks whether two values can be compared key by key (both arrays or both
+ * plain objects).
+ *
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if a structural diff applies
+ */
+const isDiffable = (a, b) => {
+    return (Array.isArray(a) && Array.isArray(b)) || (isPlainObject(a) && isPlainObject(b))
+}
+
+/**
+ * Deep clones plain objects, arrays, Dates, Maps and Sets, preserving shared
+ * and circular references. Other objects are copied by reference.
+ *
+ * @param {*} value - Value to clone
+ * @param {Function} [unwrap] - Maps each object to the one that should be read (e.g. proxy → raw)
+ * @param {Map} [seen] - Already cloned objects
+ * @returns {*} Deep clone
+ */
+const cloneDeep = (value, unwrap = v => v, seen = new Map()) => {
+    if (value === null || typeof value !== 'object') return value
+
+    value = unwrap(value)
+
+    if (seen.has(value)) return seen.get(value)
+
+    let copy
+
+    if (Array.isArray(value)) {
+        copy = []
+        seen.set(value, copy)
+        value.forEach((item, index) => { copy[index] = cloneDeep(item, unwrap, seen) })
+    } else if (value instanceof Date) {
+        copy = new Date(value.getTime())
+        seen.set(value, copy)
+    } else if (value instanceof Map) {
+        copy = new Map()
+        seen.set(value, copy)
+        value.forEach((item, key) => copy.set(key, cloneDeep(item, unwrap, seen)))
+    } else if (value instanceof Set) {
+        copy = new Set()
+        seen.set(value, copy)
+        value.forEach(item => copy.add(cloneDeep(item, unwrap, seen)))
+    } else if (isPlainObject(value)) {
+        copy = {}
+        seen.set(value, copy)
+
+        for (const key of Object.keys(value)) {
+            copy[key] = cloneDeep(value[key], unwrap, seen)
+        }
+    } else {
+        copy = value
+    }
+
+    return copy
+}
+
+/**
+ * Deep merges persisted data over default values. Plain objects are merged key
+ * by key so fields added to the defaults after the data was saved are kept;
+ * any other value from `persisted` replaces the default.
+ *
+ * @param {*} defaults - Initial value from the field definition
+ * @param {*} persisted - Value loaded from storage
+ * @returns {*} Merged value
+ */
+const mergePersisted = (defaults, persisted) => {
+    if (!isPlainObject(defaults) || !isPlainObject(persisted)) return persisted
+
+    const merged = { ...defaults }
+
+    for (const [key, value] of Object.entries(persisted)) {
+        merged[key] = key in defaults ? mergePersisted(defaults[key], value) : value
+    }
+
+    return merged
+}
+
+/**
+ * Storage backend used to persist snapshots. `load` and `save` may be
+ * synchronous or return Promises.
+ *
+ * @typedef {Object} PersistenceAdapter
+ * @property {function(string): (Object|null|Promise<Object|null>)} load - Reads the snapshot stored under a key
+ * @property {function(string, Object): (void|Promise<void>)} save - Stores a snapshot under a key
+ */
+
+/**
+ * @typedef {Object} PersistOptions
+ * @property {PersistenceAdapter} adapter - Storage backend (e.g. LocalStorageAdapter)
+ * @property {string} [key='reactive-context'] - Storage key
+ * @property {number} [debounce=300] - Delay (ms) after the last change before saving
+ * @property {string[]} [fields] - Fields to persist (defaults to every reactive field)
+ */
+
+/**
+ * @typedef {Object} ReactiveContextOptions
+ * @property {boolean} [bubble=false] Re-emit every change event on all ancestor
+ * namespaces (e.g. a change in 'state.user.address' also emits 'state.user:change'
+ * and 'state:change').
+ * @property {boolean} [autoBatch=false] Collect every change made in the same
+ * synchronous task and deliver the coalesced events in a microtask.
+ * @property {boolean} [history=false] Record every change so it can be undone
+ * and redone with `undo()` / `redo()`.
+ * @property {number} [historyLimit=100] Maximum number of undoable entries kept.
+ * @property {PersistOptions|null} [persist=null] Save snapshots through an adapter
+ * and rehydrate fields from it when they are created.
+ * @property {boolean} [jsonPatch=false] Add the RFC 6902 `operations` describing each
+ * direct write to its change event payload.
+ */
+
+/**
+ * A write about to be applied, as seen by middleware. Middleware may replace
+ * `value` (property writes) or `args` (method calls) to transform the write.
+ *
+ * @typedef {Object} PendingWrite
+ * @property {'set'|'delete'|'method'} type - Kind of write
+ * @property {string} path - Full dotted path being written
+ * @property {string} namespace - Namespace where the write happens
+ * @property {string|symbol|null} prop - Written property, or null for root fields and method calls
+ * @property {*} [old_value] - Current value (property writes)
+ * @property {*} [value] - Value about to be written (set only)
+ * @property {string} [method] - Mutating method name (method only)
+ * @property {Array} [args] - Method arguments (method only)
+ */
+
+/**
+ * Serializable description of a committed write, delivered to observe() callbacks.
+ * Values are plain deep clones.
+ *
+ * @typedef {Object} WriteRecord
+ * @property {'add'|'update'|'delete'|'method'} type - Kind of write
+ * @property {string} path - Full dotted path that was written (the namespace for method calls)
+ * @property {*} [value] - Written value (add/update), or the whole collection after the call (method)
+ * @property {*} [old_value] - Previous value (add/update/delete)
+ * @property {string} [method] - Mutating method (method)
+ * @property {Array} [args] - Method arguments (method)
+ * @property {number} timestamp - When the write happened
+ */
+
+/**
+ * A change waiting to be emitted.
+ *
+ * @typedef {Object} Change
+ * @property {string} namespace - Namespace where the change happened
+ * @property {string|symbol|null} prop - Changed property, or null for namespace-level changes
+ * @property {Object} data - Event payload (always includes the full dotted `path`)
+ * @property {'add'|'update'|'delete'} [type] - Kind of property change (omitted for method calls)
+ * @property {string} [boundary] - Ancestor namespace where bubbling stops (used for
+ * leaf events derived from a reassignment, whose own event already bubbles)
+ */
+
+/**
+ * An invertible record of a single write.
+ *
+ * @typedef {Object} Patch
+ * @property {Function} revert - Restores the previous raw value without emitting events
+ * @property {Function} undo - Restores the previous value through the proxies (emits events)
+ * @property {Function} redo - Re-applies the new value through the proxies (emits events)
+ * @property {WriteRecord} [write] - Description delivered to observers
+ */
+
 /**
  * Base class for creating reactive contexts with event-driven state management.
  *
  * Reactive fields emit events when their values are read or changed. Objects
- * and arrays can be reassigned at any level, but doing so will remove their
- * nested reactivity (a warning will be logged).
+ * and arrays can be reassigned at any level: the new value stays deeply
+ * reactive under the same namespace, and change events are also emitted for
+ * every nested leaf that differs from the old value.
  *
  * @example Basic usage
  * class AppContext extends ReactiveContext {
@@ -51,19 +288,82 @@ const ARRAY_MUTATORS = [
  * ctx.items.push('new item')             // ✅ Emits 'items:change'
  * ctx.items[0] = 'modified'              // ✅ Emits 'items:0:change' and 'items:change'
  *
- * // Object/array reassignment (allowed with warning, loses nested reactivity)
- * ctx.state.user = { name: 'Jane' }      // ⚠️ Warning + emits event
+ * // Object/array reassignment (stays reactive, diffs nested leaves)
+ * ctx.state.user = { name: 'Jane' }      // ✅ Emits 'state:user:change' and 'state.user:name:change'
+ *
+ * // Wildcard listeners
+ * ctx.on('state.*:change', (data) => {}) // ✅ Changes in 'state.user', but not 'state' or 'state.user.x'
+ * ctx.on('state.**:change', (data) => {})// ✅ Every change at or below 'state', once per change
+ *
+ * @example Bubbling
+ * class AppContext extends ReactiveContext {
+ *     constructor() {
+ *         super({ bubble: true })
+ *         this.createReactiveFields({
+ *             state: { user: { address: { city: '' } } }
+ *         })
+ *     }
+ * }
+ *
+ * const ctx = new AppContext()
+ *
+ * ctx.on('state:change', (data) => console.log(data.path))
+ * ctx.state.user.address.city = 'Rome'   // ✅ Logs 'state.user.address.city'
  */
 export class ReactiveContext {
     #listeners = {}
+    #patterns = new Map()
     #proxy_cache = new WeakMap()
+    #raw = new WeakMap()
     #fields = {}
+    #computed = new Map()
+    #tracking = []
+    #batches = []
+    #pending = null
+    #tails = new WeakMap()
+    #history = { undo: [], redo: [], applying: false }
+    #persisted = null
+    #save_timer = null
+    #middleware = []
+    #validators = []
+    #observers = []
+    #options
+
+    /**
+     * @param {ReactiveContextOptions} [options] - Optional configuration
+     */
+    constructor(options = {}) {
+        this.#options = {
+            bubble: false,
+            autoBatch: false,
+            history: false,
+            historyLimit: 100,
+            persist: null,
+            jsonPatch: false,
+            ...options
+        }
+
+        if (this.#options.persist) {
+            this.#options.persist = {
+                key: 'reactive-context',
+                debounce: 300,
+                ...this.#options.persist
+            }
+
+            this.#rehydrate()
+        }
+    }
 
     /**
      * Creates reactive fields that emit events on reads and changes.
      *
      * @param {Object} definitions - Object mapping field names to initial values
-     * @throws {TypeError} If a field name already exists on the instance
+     * @param {Object} [options] - Field options
+     * @param {Object<string, ValidationRule|Function>} [options.validate] - Validators keyed by
+     * dotted path (wildcards allowed, e.g. 'items.*.price'). Functions receive (value, write)
+     * and reject by returning false or a reason string.
+     * @throws {TypeError} If a field name already exists on the instance, or if an initial
+     * value fails its validators (persisted values that fail them are dropped instead)
      *
      * @example
      * this.createReactiveFields({
@@ -71,41 +371,272 @@ export class ReactiveContext {
      *     user: { profile: { name: '', avatar: null } },
      *     tags: []
      * })
+     *
+     * @example With validators
+     * this.createReactiveFields({
+     *     state: { count: 0, status: 'idle' }
+     * }, {
+     *     validate: {
+     *         'state.count': { type: 'integer', min: 0 },
+     *         'state.status': { enum: ['idle', 'loading', 'done'] }
+     *     }
+     * })
+     *
+     * ctx.state.count = -1  // ❌ Rejected: emits 'state:count:rejected', value unchanged
      */
-    createReactiveFields(definitions) {
+    createReactiveFields(definitions, { validate = {} } = {}) {
+        for (const [path, rule] of Object.entries(validate)) {
+            this.#validators.push({ path, segments: path.split('.'), rule })
+        }
+
         for (const [field_name, initial_value] of Object.entries(definitions)) {
             if (Object.prototype.hasOwnProperty.call(this, field_name)) {
                 throw new TypeError(`Field '${field_name}' already exists`)
             }
 
-            this.#fields[field_name] = this.#createReactive(initial_value, field_name)
+            const initial = { type: 'set', path: field_name, namespace: field_name, prop: null, old_value: undefined, value: initial_value }
+            const reason = this.#validate(initial)
+
+            if (reason !== null) {
+                this.#reject(initial, reason)
+                throw new TypeError(`Invalid initial value: ${reason}`)
+            }
+
+            let value = initial_value
+
+            if (this.#isPersisted(field_name) && this.#persisted && field_name in this.#persisted) {
+                const restored = { ...initial, value: mergePersisted(initial_value, cloneDeep(this.#persisted[field_name])) }
+                const persisted_reason = this.#validate(restored)
+
+                // Stored state that no longer passes the validators is dropped
+                if (persisted_reason === null) {
+                    value = restored.value
+                } else {
+                    this.#reject(restored, persisted_reason)
+                }
+            }
+
+            this.#fields[field_name] = this.#createReactive(value, field_name)
 
             Object.defineProperty(this, field_name, {
-                get: () => this.#fields[field_name],
+                get: () => {
+                    this.#track(field_name)
+                    return this.#fields[field_name]
+                },
                 set: (new_value) => {
                     const old_value = this.#fields[field_name]
+                    const write = this.#intercept({
+                        type: 'set',
+                        path: field_name,
+                        namespace: field_name,
+                        prop: null,
+                        old_value,
+                        value: new_value
+                    })
 
-                    if (old_value !== null && old_value !== undefined && typeof old_value === 'object') {
-                        const type = Array.isArray(old_value) ? 'array' : 'object'
-                        console.warn(
-                            `⚠️ Reassigning root ${type} '${field_name}' removes its reactivity. ` +
-                            `Consider modifying its properties instead.`
-                        )
-                    }
+                    if (!write) return
+
+                    new_value = write.value
 
                     this.#fields[field_name] = this.#createReactive(new_value, field_name)
 
-                    this.#emit(`${field_name}:change`, {
-                        prop: field_name,
-                        old_value,
-                        new_value,
-                        timestamp: Date.now()
+                    this.#commit({
+                        namespace: field_name,
+                        prop: null,
+                        type: 'update',
+                        data: {
+                            prop: field_name,
+                            path: field_name,
+                            old_value,
+                            new_value,
+                            timestamp: Date.now()
+                        }
+                    }, {
+                        revert: () => { this.#fields[field_name] = old_value },
+                        undo: () => { this[field_name] = old_value },
+                        redo: () => { this[field_name] = new_value }
                     })
+
+                    this.#commitDiff(field_name, old_value, new_value, field_name)
+                },
+                enumerable: true,
+                configurable: false
+            })
+        }
+    }
+
+    /**
+     * Creates read-only computed fields derived from other reactive values.
+     *
+     * Dependencies are collected automatically from every reactive value the
+     * getter reads. Results are cached and only re-evaluated after one of those
+     * dependencies changes. When a computed field has `name:change` listeners it
+     * is evaluated as soon as the first one is added, then re-evaluated right
+     * away on every change and the event is emitted if the value differs;
+     * otherwise it stays dirty until the next read.
+     *
+     * @param {Object<string, Function>} definitions - Object mapping field names to getters receiving the context
+     * @throws {TypeError} If a field name already exists on the instance
+     *
+     * @example
+     * this.createReactiveFields({
+     *     cart: { items: [], tax_rate: 0.21 }
+     * })
+     *
+     * this.createComputedFields({
+     *     subtotal: ctx => ctx.cart.items.reduce((sum, item) => sum + item.price, 0),
+     *     total: ctx => ctx.subtotal * (1 + ctx.cart.tax_rate)
+     * })
+     *
+     * ctx.on('total:change', (data) => console.log(`Total: ${data.new_value}`))
+     * ctx.cart.items.push({ price: 100 })    // ✅ Logs 'Total: 121'
+     */
+    createComputedFields(definitions) {
+        for (const [field_name, getter] of Object.entries(definitions)) {
+            if (Object.prototype.hasOwnProperty.call(this, field_name)) {
+                throw new TypeError(`Field '${field_name}' already exists`)
+            }
+
+            if (typeof getter !== 'function') {
+                throw new TypeError(`Computed field '${field_name}' requires a getter function`)
+            }
+
+            const entry = {
+                name: field_name,
+                getter,
+                value: undefined,
+                dependencies: new Set(),
+                dirty: true,
+                evaluating: false
+            }
+
+            this.#computed.set(field_name, entry)
+
+            Object.defineProperty(this, field_name, {
+                get: () => {
+                    this.#track(field_name)
+
+                    if (entry.dirty) {
+                        this.#evaluate(entry)
+                    }
+
+                    return entry.value
                 },
                 enumerable: true,
                 configurable: false
             })
         }
+
+        this.#prime()
+    }
+
+    /**
+     * Evaluates the dirty computed fields that have `name:change` listeners.
+     * Until a computed field has been evaluated it has no dependencies, so
+     * #invalidate() would never report its changes.
+     *
+     * @private
+     */
+    #prime() {
+        for (const entry of this.#computed.values()) {
+            if (!entry.dirty || entry.evaluating || !this.#hasSubscribers(`${entry.name}:change`)) continue
+
+            try {
+                this.#evaluate(entry)
+            } catch (error) {
+                console.error(`Error evaluating computed field '${entry.name}':`, error)
+            }
+        }
+    }
+
+    /**
+     * Runs a computed getter while collecting the paths it reads.
+     *
+     * @private
+     * @param {Object} entry - Computed field entry
+     * @throws {Error} If the computed field depends on itself
+     */
+    #evaluate(entry) {
+        if (entry.evaluating) {
+            throw new Error(`Circular dependency in computed field '${entry.name}'`)
+        }
+
+        const dependencies = new Set()
+
+        entry.evaluating = true
+        this.#tracking.push(dependencies)
+
+        try {
+            entry.value = entry.getter(this)
+        } finally {
+            this.#tracking.pop()
+            entry.evaluating = false
+        }
+
+        entry.dependencies = dependencies
+        entry.dirty = false
+    }
+
+    /**
+     * Records a read path as a dependency of the computed field being evaluated.
+     *
+     * @private
+     * @param {string} path - Full dotted path that was read
+     */
+    #track(path) {
+        this.#tracking[this.#tracking.length - 1]?.add(path)
+    }
+
+    /**
+     * Marks computed fields depending on a changed path as dirty, re-evaluating
+     * the ones that have change listeners.
+     *
+     * Key enumeration is tracked as a `namespace:keys` dependency, which is
+     * affected when the namespace is replaced or gains or loses a key.
+     *
+     * @private
+     * @param {string} path - Full dotted path that changed
+     * @param {string|null} [keys_namespace=null] - Namespace whose set of keys changed
+     */
+    #invalidate(path, keys_namespace = null) {
+        for (const entry of this.#computed.values()) {
+            if (entry.dirty || entry.evaluating) continue
+
+            const affected = [...entry.dependencies].some(
+                dependency => dependency === path ||
+                    dependency.startsWith(`${path}.`) ||
+                    dependency.startsWith(`${path}:`) ||
+                    dependency === `${keys_namespace}:keys`
+            )
+
+            if (!affected) continue
+
+            entry.dirty = true
+
+            if (!this.#hasSubscribers(`${entry.name}:change`)) {
+                this.#invalidate(entry.name)
+                continue
+            }
+
+            const old_value = entry.value
+
+            this.#evaluate(entry)
+
+            if (!Object.is(old_value, entry.value)) {
+                this.#commit({
+                    namespace: entry.name,
+                    prop: null,
+                    type: 'update',
+                    data: {
+                        prop: entry.name,
+                        path: entry.name,
+                        old_value,
+                        new_value: entry.value,
+                        timestamp: Date.now()
+                    }
+                })
+            }
+        }
     }
 
     /**
@@ -121,29 +652,70 @@ export class ReactiveContext {
             return target
         }
 
-        if (this.#proxy_cache.has(target)) {
-            return this.#proxy_cache.get(target)
+        target = this.#toRaw(target)
+
+        if (!this.#proxy_cache.has(target)) {
+            this.#proxy_cache.set(target, new Map())
         }
 
+        const cached = this.#proxy_cache.get(target).get(namespace)
+
+        if (cached) return cached
+
         const proxy = new Proxy(target, {
             get: (obj, prop) => {
+                if (obj instanceof Map || obj instanceof Set) {
+                    return this.#getCollectionMember(obj, prop, namespace, proxy)
+                }
+
+                if (obj instanceof Date) {
+                    return this.#getDateMember(obj, prop, namespace, proxy)
+                }
+
                 const value = obj[prop]
 
                 if (Array.isArray(obj) && ARRAY_MUTATORS.includes(prop)) {
                     return (...args) => {
-                        const result = Array.prototype[prop].apply(obj, args)
+                        const write = this.#intercept({ type: 'method', path: namespace, namespace, prop: null, method: prop, args })
+
+                        if (!write) return undefined
 
-                        this.#emit(`${namespace}:change`, {
+                        args = write.args
+
+                        const before = this.#isRecording() ? [...obj] : null
+                        const length = obj.length
+                        const result = Array.prototype[prop].apply(obj, args)
+                        const after = before && [...obj]
+                        const data = {
                             method: prop,
+                            path: namespace,
                             args,
                             length: obj.length,
                             timestamp: Date.now()
+                        }
+
+                        // Splice indexes depend on the length before the call
+                        if (this.#options.jsonPatch) {
+                            data.operations = arrayOperations(
+                                toPointer(namespace), prop, args, length, obj,
+                                value => toJsonValue(value, v => this.#toRaw(v))
+                            )
+                        }
+
+                        this.#commit({ namespace, prop: null, data }, {
+                            revert: () => { obj.splice(0, obj.length, ...before) },
+                            undo: () => { proxy.splice(0, proxy.length, ...before) },
+                            redo: () => { proxy.splice(0, proxy.length, ...after) }
                         })
 
                         return result
                     }
                 }
 
+                if (typeof prop === 'string') {
+                    this.#track(`${namespace}.${prop}`)
+                }
+
                 if (value !== null && typeof value === 'object') {
                     return this.#createReactive(value, `${namespace}.${prop}`)
                 }
@@ -152,12 +724,14 @@ export class ReactiveContext {
                 if (typeof prop === 'string' && !prop.startsWith('_')) {
                     this.#emit(`${namespace}:${prop}:read`, {
                         prop,
+                        path: `${namespace}.${prop}`,
                         value,
                         timestamp: Date.now()
                     })
 
                     this.#emit(`${namespace}:read`, {
                         prop,
+                        path: `${namespace}.${prop}`,
                         value,
                         timestamp: Date.now()
                     })
@@ -168,64 +742,1620 @@ export class ReactiveContext {
 
             set: (obj, prop, new_value) => {
                 const old_value = obj[prop]
+                const had_prop = Object.prototype.hasOwnProperty.call(obj, prop)
+                const path = `${namespace}.${String(prop)}`
+                const write = this.#intercept({ type: 'set', path, namespace, prop, old_value, value: new_value })
 
-                if (old_value !== null && old_value !== undefined && typeof old_value === 'object') {
-                    const type = Array.isArray(old_value) ? 'array' : 'object'
-                    console.warn(
-                        `⚠️ Reassigning ${type} '${prop}' removes its reactivity. ` +
-                        `Consider modifying its properties instead.`
-                    )
-                }
+                // Rejected writes are reported through ':rejected' events instead of a TypeError
+                if (!write) return true
 
-                obj[prop] = new_value
+                new_value = write.value
 
-                this.#emit(`${namespace}:${prop}:change`, {
-                    prop,
-                    old_value,
-                    new_value,
-                    timestamp: Date.now()
-                })
+                obj[prop] = this.#toRaw(new_value)
 
-                this.#emit(`${namespace}:change`, {
+                this.#commit({
+                    namespace,
                     prop,
-                    old_value,
-                    new_value,
-                    timestamp: Date.now()
+                    type: had_prop ? 'update' : 'add',
+                    data: {
+                        prop,
+                        path,
+                        old_value,
+                        new_value,
+                        timestamp: Date.now()
+                    }
+                }, {
+                    revert: () => {
+                        if (had_prop) {
+                            obj[prop] = old_value
+                        } else {
+                            delete obj[prop]
+                        }
+                    },
+                    undo: () => {
+                        if (had_prop) {
+                            proxy[prop] = old_value
+                        } else {
+                            delete proxy[prop]
+                        }
+                    },
+                    redo: () => { proxy[prop] = new_value }
                 })
 
+                this.#commitDiff(path, old_value, new_value, path)
+
                 return true
-            }
-        })
+            },
 
-        this.#proxy_cache.set(target, proxy)
+            deleteProperty: (obj, prop) => {
+                if (!Object.prototype.hasOwnProperty.call(obj, prop)) return true
 
-        return proxy
-    }
+                const old_value = obj[prop]
+                const path = `${namespace}.${String(prop)}`
 
-    /**
-     * Emits an event to all registered listeners.
-     *
-     * @private
-     * @param {string} event - Event name
-     * @param {*} data - Data to pass to listeners
-     */
-    #emit(event, data) {
-        if (!this.#listeners[event]) return
+                if (!this.#intercept({ type: 'delete', path, namespace, prop, old_value })) return true
 
-        for (const callback of this.#listeners[event]) {
-            try {
-                callback(data, this)
-            } catch (error) {
-                console.error(`Error in listener for "${event}":`, error)
-            }
-        }
-    }
+                const descriptor = Object.getOwnPropertyDescriptor(obj, prop)
 
-    /**
-     * Registers an event listener.
-     *
-     * @param {string} event - Event name (e.g., 'state:count:change', 'state:count:read')
-     * @param {Function} callback - Handler receiving (data, context) parameters
+                if (!Reflect.deleteProperty(obj, prop)) return false
+
+                this.#commit({
+                    namespace,
+                    prop,
+                    type: 'delete',
+                    data: {
+                        prop,
+                        path: `${namespace}.${String(prop)}`,
+                        old_value,
+                        new_value: undefined,
+                        timestamp: Date.now()
+                    }
+                }, {
+                    revert: () => { Reflect.defineProperty(obj, prop, descriptor) },
+                    undo: () => { Object.defineProperty(proxy, prop, descriptor) },
+                    redo: () => { delete proxy[prop] }
+                })
+
+                return true
+            },
+
+            defineProperty: (obj, prop, descriptor) => {
+                const had_prop = Object.prototype.hasOwnProperty.call(obj, prop)
+                const old_descriptor = Object.getOwnPropertyDescriptor(obj, prop)
+                const old_value = old_descriptor && 'value' in old_descriptor ? old_descriptor.value : undefined
+
+                if ('value' in descriptor) {
+                    const write = this.#intercept({
+                        type: 'set',
+                        path: `${namespace}.${String(prop)}`,
+                        namespace,
+                        prop,
+                        old_value,
+                        value: descriptor.value
+                    })
+
+                    if (!write) return true
+
+                    descriptor = { ...descriptor, value: this.#toRaw(write.value) }
+                }
+
+                if (!Reflect.defineProperty(obj, prop, descriptor)) return false
+
+                const new_value = 'value' in descriptor ? descriptor.value : undefined
+
+                this.#commit({
+                    namespace,
+                    prop,
+                    type: had_prop ? 'update' : 'add',
+                    data: {
+                        prop,
+                        path: `${namespace}.${String(prop)}`,
+                        old_value,
+                        new_value,
+                        descriptor,
+                        timestamp: Date.now()
+                    }
+                }, {
+                    revert: () => {
+                        if (had_prop) {
+                            Reflect.defineProperty(obj, prop, old_descriptor)
+                        } else {
+                            Reflect.deleteProperty(obj, prop)
+                        }
+                    },
+                    undo: () => {
+                        if (had_prop) {
+                            Object.defineProperty(proxy, prop, old_descriptor)
+                        } else {
+                            delete proxy[prop]
+                        }
+                    },
+                    redo: () => { Object.defineProperty(proxy, prop, descriptor) }
+                })
+
+                return true
+            },
+
+            has: (obj, prop) => {
+                if (typeof prop === 'string') {
+                    this.#track(`${namespace}.${prop}`)
+                }
+
+                return Reflect.has(obj, prop)
+            },
+
+            ownKeys: (obj) => {
+                const keys = Reflect.ownKeys(obj)
+
+                this.#track(`${namespace}:keys`)
+
+                this.#emit(`${namespace}:read`, {
+                    method: 'ownKeys',
+                    path: namespace,
+                    keys: keys.filter(key => typeof key === 'string'),
+                    timestamp: Date.now()
+                })
+
+                return keys
+            }
+        })
+
+        this.#proxy_cache.get(target).set(namespace, proxy)
+        this.#raw.set(proxy, target)
+
+        return proxy
+    }
+
+    /**
+     * Resolves a property of a reactive Map or Set. Methods are bound to the
+     * raw collection; reads (`get`, `has`, `size`, iteration) emit read events
+     * and mutations (`set`, `add`, `delete`, `clear`) emit change events.
+     *
+     * @private
+     * @param {Map|Set} obj - Raw collection
+     * @param {string|symbol} prop - Accessed property
+     * @param {string} namespace - Event namespace of the collection
+     * @param {Proxy} proxy - Reactive proxy of the collection
+     * @returns {*} Property value or wrapped method
+     */
+    #getCollectionMember(obj, prop, namespace, proxy) {
+        const is_map = obj instanceof Map
+        const value = Reflect.get(obj, prop, obj)
+
+        if (typeof value !== 'function') {
+            if (prop === 'size') {
+                this.#track(namespace)
+                this.#emitCollectionRead(namespace, { method: 'size', value })
+            }
+
+            return value
+        }
+
+        // Set members have no key of their own, so only Map values become reactive
+        const wrap = (item, key) => {
+            const keyed = is_map && (typeof key === 'string' || typeof key === 'number')
+            return keyed ? this.#createReactive(item, `${namespace}.${key}`) : item
+        }
+
+        if (COLLECTION_MUTATORS.includes(prop)) {
+            return (...args) => {
+                const write = this.#intercept({ type: 'method', path: namespace, namespace, prop: null, method: prop, args })
+
+                if (!write) return prop === 'delete' ? false : (prop === 'clear' ? undefined : proxy)
+
+                args = write.args
+
+                const key = this.#toRaw(args[0])
+                const old_size = obj.size
+                const had_key = obj.has(key)
+                const old_value = is_map ? obj.get(key) : undefined
+                const before = this.#isRecording() ? (is_map ? new Map(obj) : new Set(obj)) : null
+
+                const result = prop === 'set'
+                    ? obj.set(key, this.#toRaw(args[1]))
+                    : value.call(obj, key)
+
+                const after = before && (is_map ? new Map(obj) : new Set(obj))
+
+                // Adding an existing member, deleting a missing key or clearing an empty collection changes nothing
+                const changed = {
+                    set: true,
+                    add: !had_key,
+                    delete: had_key,
+                    clear: old_size > 0
+                }[prop]
+
+                if (changed) {
+                    const data = { method: prop, path: namespace, args, size: obj.size, timestamp: Date.now() }
+
+                    if (prop !== 'clear') {
+                        data.key = key
+                        data.value = prop === 'delete' ? undefined : (is_map ? args[1] : key)
+                    }
+
+                    if (is_map && prop !== 'clear' && prop !== 'add') {
+                        data.old_value = old_value
+                    }
+
+                    const restore = (collection, entries) => {
+                        collection.clear()
+                        entries.forEach((entry, entry_key) => {
+                            if (is_map) {
+                                collection.set(entry_key, entry)
+                            } else {
+                                collection.add(entry)
+                            }
+                        })
+                    }
+
+                    this.#commit({ namespace, prop: null, data }, {
+                        revert: () => restore(obj, before),
+                        undo: () => restore(proxy, before),
+                        redo: () => restore(proxy, after)
+                    })
+                }
+
+                return result === obj ? proxy : result
+            }
+        }
+
+        if (prop === 'get' || prop === 'has') {
+            return (raw_key) => {
+                const key = this.#toRaw(raw_key)
+                const result = value.call(obj, key)
+
+                this.#track(typeof key === 'string' || typeof key === 'number' ? `${namespace}.${key}` : namespace)
+                this.#emitCollectionRead(namespace, { method: prop, key, value: result })
+
+                return prop === 'get' ? wrap(result, key) : result
+            }
+        }
+
+        if (COLLECTION_ITERATORS.includes(prop)) {
+            return (...args) => {
+                this.#track(namespace)
+                this.#emitCollectionRead(namespace, { method: typeof prop === 'symbol' ? 'iterate' : prop })
+
+                if (prop === 'forEach') {
+                    const [callback, this_arg] = args
+                    return obj.forEach((item, key) => callback.call(this_arg, wrap(item, key), key, proxy))
+                }
+
+                const kind = prop === Symbol.iterator ? (is_map ? 'entries' : 'values') : prop
+                const iterator = obj.entries()
+
+                return {
+                    next: () => {
+                        const step = iterator.next()
+
+                        if (step.done) return step
+
+                        const [key, item] = step.value
+                        const projected = {
+                            keys: key,
+                            values: wrap(item, key),
+                            entries: [key, wrap(item, key)]
+                        }[kind]
+
+                        return { done: false, value: projected }
+                    },
+                    [Symbol.iterator]() { return this }
+                }
+            }
+        }
+
+        return value.bind(obj)
+    }
+
+    /**
+     * Emits the read events of a Map or Set operation.
+     *
+     * @private
+     * @param {string} namespace - Event namespace of the collection
+     * @param {Object} details - Operation details ({ method, key?, value? })
+     */
+    #emitCollectionRead(namespace, details) {
+        const data = { ...details, path: namespace, timestamp: Date.now() }
+        const { key } = details
+
+        if (typeof key === 'string' && !key.startsWith('_')) {
+            this.#emit(`${namespace}:${key}:read`, data)
+        }
+
+        this.#emit(`${namespace}:read`, data)
+    }
+
+    /**
+     * Resolves a property of a reactive Date. Methods are bound to the raw
+     * Date, and setters (`setFullYear`, `setTime`...) go through middleware and
+     * validators, then emit change events with the previous and new dates.
+     *
+     * @private
+     * @param {Date} obj - Raw Date
+     * @param {string|symbol} prop - Accessed property
+     * @param {string} namespace - Event namespace of the Date
+     * @param {Proxy} proxy - Reactive proxy of the Date
+     * @returns {*} Property value or bound method
+     */
+    #getDateMember(obj, prop, namespace, proxy) {
+        const value = obj[prop]
+
+        if (typeof value !== 'function') return value
+
+        this.#track(namespace)
+
+        if (typeof prop !== 'string' || !prop.startsWith('set')) {
+            return value.bind(obj)
+        }
+
+        return (...args) => {
+            const write = this.#intercept({ type: 'method', path: namespace, namespace, prop: null, method: prop, args })
+
+            // A rejected setter leaves the date as is, and returns its time like a setter would
+            if (!write) return obj.getTime()
+
+            args = write.args
+
+            const old_time = obj.getTime()
+            const result = value.apply(obj, args)
+            const new_time = obj.getTime()
+
+            if (Object.is(old_time, new_time)) return result
+
+            this.#commit({
+                namespace,
+                prop: null,
+                data: {
+                    method: prop,
+                    path: namespace,
+                    args,
+                    old_value: new Date(old_time),
+                    new_value: new Date(new_time),
+                    timestamp: Date.now()
+                }
+            }, {
+                revert: () => { obj.setTime(old_time) },
+                undo: () => { proxy.setTime(old_time) },
+                redo: () => { proxy.setTime(new_time) }
+            })
+
+            return result
+        }
+    }
+
+    /**
+     * Returns the raw object behind a reactive proxy, so proxies assigned into
+     * the state are never wrapped twice.
+     *
+     * @private
+     * @param {*} value - Any value
+     * @returns {*} The proxy target, or the value itself if it isn't a proxy
+     */
+    #toRaw(value) {
+        return this.#raw.get(value) ?? value
+    }
+
+    /**
+     * Registers a callback called once for every committed write, with a plain,
+     * serializable description of it. Unlike change events, derived changes
+     * (computed fields, leaves diffed from a reassignment) are not reported,
+     * and writes inside a batch are delivered when the outermost batch ends
+     * (or never, if it is rolled back).
+     *
+     * Useful to mirror the state somewhere else (other tabs, workers, a server).
+     *
+     * @param {function(WriteRecord, ReactiveContext): void} callback - Write handler
+     * @returns {Function} Cleanup function to unregister the callback
+     *
+     * @example
+     * ctx.observe((write) => {
+     *     socket.send(JSON.stringify(write))
+     * })
+     *
+     * ctx.state.count = 5
+     * // { type: 'update', path: 'state.count', value: 5, old_value: 0, timestamp: ... }
+     */
+    observe(callback) {
+        this.#observers.push(callback)
+
+        return () => {
+            const index = this.#observers.indexOf(callback)
+            if (index > -1) this.#observers.splice(index, 1)
+        }
+    }
+
+    /**
+     * Applies a write record (e.g. one produced by observe() on another
+     * context) through the proxies, so listeners, validators and history see
+     * it like any local write.
+     *
+     * @param {WriteRecord} write - Write to apply
+     * @throws {Error} If the path doesn't resolve to a reactive value
+     *
+     * @example
+     * worker.addEventListener('message', (event) => ctx.applyWrite(event.data))
+     */
+    applyWrite(write) {
+        const segments = write.path.split('.')
+        const key = segments[segments.length - 1]
+
+        if (write.type === 'method') {
+            this.#resolve(segments, write.path)[write.method](...cloneDeep(write.args))
+            return
+        }
+
+        if (segments.length === 1) {
+            if (!(key in this.#fields)) {
+                throw new Error(`Cannot resolve path '${write.path}'`)
+            }
+
+            if (write.type === 'delete') {
+                throw new Error(`Reactive field '${key}' cannot be deleted`)
+            }
+
+            this[key] = cloneDeep(write.value)
+            return
+        }
+
+        const parent = this.#resolve(segments.slice(0, -1), write.path)
+
+        if (parent instanceof Map) {
+            if (write.type === 'delete') {
+                parent.delete(key)
+            } else {
+                parent.set(key, cloneDeep(write.value))
+            }
+        } else if (write.type === 'delete') {
+            delete parent[key]
+        } else {
+            parent[key] = cloneDeep(write.value)
+        }
+    }
+
+    /**
+     * Applies JSON Patch (RFC 6902) operations through the proxies, so
+     * listeners, validators and history see them like local writes.
+     *
+     * The operations run as one batch: if any of them fails (including a
+     * failed `test`), every write already made is rolled back and the error is
+     * rethrown. Map entries are addressed by key, and a `replace` of the whole
+     * document (`''`) is applied with restore().
+     *
+     * @param {JsonPatchOperation[]} operations - Operations to apply, in order
+     * @throws {Error} If an operation is invalid or its target doesn't exist
+     *
+     * @example
+     * ctx.applyPatch([
+     *     { op: 'replace', path: '/cart/total', value: 42 },
+     *     { op: 'add', path: '/cart/items/-', value: { id: 7 } },
+     *     { op: 'remove', path: '/cart/coupon' }
+     * ])
+     */
+    applyPatch(operations) {
+        this.batch(() => {
+            operations.forEach((operation, index) => {
+                try {
+                    this.#applyOperation(operation)
+                } catch (error) {
+                    throw new Error(
+                        `Cannot apply patch operation ${index} (${operation?.op} '${operation?.path}'): ${error.message}`,
+                        { cause: error }
+                    )
+                }
+            })
+        }, { rollback: true })
+    }
+
+    /**
+     * Applies a single JSON Patch operation.
+     *
+     * @private
+     * @param {JsonPatchOperation} operation - Operation to apply
+     * @throws {Error} If the operation is invalid or fails
+     */
+    #applyOperation({ op, path, from, value }) {
+        switch (op) {
+            case 'add':
+                this.#writePointer(path, op, cloneDeep(value))
+                break
+            case 'replace':
+                this.#writePointer(path, op, fromJsonValue(this.#readPointer(path), cloneDeep(value)))
+                break
+            case 'remove':
+                this.#writePointer(path, op)
+                break
+            case 'move': {
+                if (path.startsWith(`${from}/`)) {
+                    throw new Error('a value cannot be moved into one of its children')
+                }
+
+                const moved = this.#readPointer(from)
+
+                this.#writePointer(from, 'remove')
+                this.#writePointer(path, 'add', moved)
+                break
+            }
+            case 'copy':
+                this.#writePointer(path, 'add', cloneDeep(this.#readPointer(from)))
+                break
+            case 'test':
+                if (!isDeepEqual(toJsonValue(this.#readPointer(path)), value)) {
+                    throw new Error('test failed')
+                }
+                break
+            default:
+                throw new Error(`unknown operation '${op}'`)
+        }
+    }
+
+    /**
+     * Reads the raw value at a JSON Pointer without emitting read events.
+     *
+     * @private
+     * @param {string} pointer - JSON Pointer
+     * @returns {*} Raw value
+     * @throws {Error} If the location doesn't exist
+     */
+    #readPointer(pointer) {
+        let target = this.#fields
+
+        for (const segment of parsePointer(pointer)) {
+            target = this.#toRaw(target)
+
+            const exists = target instanceof Map
+                ? target.has(segment)
+                : target !== null && typeof target === 'object' && Object.prototype.hasOwnProperty.call(target, segment)
+
+            if (!exists) throw new Error(`'${pointer}' does not exist`)
+
+            target = target instanceof Map ? target.get(segment) : target[segment]
+        }
+
+        return this.#toRaw(target)
+    }
+
+    /**
+     * Adds, replaces or removes the value at a JSON Pointer through the proxies.
+     *
+     * @private
+     * @param {string} pointer - JSON Pointer
+     * @param {'add'|'replace'|'remove'} op - Operation
+     * @param {*} [value] - Value to write (add, replace)
+     * @throws {Error} If the location is invalid for the operation
+     */
+    #writePointer(pointer, op, value) {
+        const segments = parsePointer(pointer)
+
+        if (!segments.length) {
+            if (op === 'remove') throw new Error('the whole document cannot be removed')
+
+            this.restore(value)
+            return
+        }
+
+        const key = segments.pop()
+
+        if (!segments.length) {
+            if (!(key in this.#fields)) throw new Error(`'${key}' is not a reactive field`)
+            if (op === 'remove') throw new Error(`reactive field '${key}' cannot be removed`)
+
+            this[key] = value
+            return
+        }
+
+        const parent = this.#resolve(segments, pointer)
+
+        if (Array.isArray(parent)) {
+            const index = key === '-' ? parent.length : Number(key)
+            const limit = op === 'add' ? parent.length : parent.length - 1
+
+            if ((key !== '-' && !/^(0|[1-9]\d*)$/.test(key)) || index > limit) {
+                throw new Error(`invalid array index '${key}'`)
+            }
+
+            if (op === 'remove') {
+                parent.splice(index, 1)
+            } else if (op === 'replace') {
+                parent[index] = value
+            } else if (key === '-') {
+                parent.push(value)
+            } else {
+                parent.splice(index, 0, value)
+            }
+
+            return
+        }
+
+        const exists = parent instanceof Map
+            ? parent.has(key)
+            : Object.prototype.hasOwnProperty.call(parent, key)
+
+        if (op !== 'add' && !exists) throw new Error(`'${pointer}' does not exist`)
+
+        if (parent instanceof Map) {
+            if (op === 'remove') {
+                parent.delete(key)
+            } else {
+                parent.set(key, value)
+            }
+        } else if (op === 'remove') {
+            delete parent[key]
+        } else {
+            parent[key] = value
+        }
+    }
+
+    /**
+     * Walks a dotted path from a reactive field down to a nested reactive
+     * object, looking Map entries up by key.
+     *
+     * @private
+     * @param {string[]} segments - Path segments, starting with the field name
+     * @param {string} path - Full path (used in error messages)
+     * @param {boolean} [raw=false] - Walk the raw objects instead (no read events)
+     * @returns {Proxy|Object} Reactive (or raw) value at the path
+     * @throws {Error} If a segment doesn't resolve to an object
+     */
+    #resolve(segments, path, raw = false) {
+        const [field_name, ...rest] = segments
+
+        if (!(field_name in this.#fields)) {
+            throw new Error(`Cannot resolve path '${path}'`)
+        }
+
+        const step = raw ? value => this.#toRaw(value) : value => value
+        let target = step(this.#fields[field_name])
+
+        for (const segment of rest) {
+            if (target === null || typeof target !== 'object') break
+
+            target = step(target instanceof Map ? target.get(segment) : target[segment])
+        }
+
+        if (target === null || typeof target !== 'object') {
+            throw new Error(`Cannot resolve path '${path}'`)
+        }
+
+        return target
+    }
+
+    /**
+     * Describes a committed change as a plain write record.
+     *
+     * @private
+     * @param {Change} change - Committed change
+     * @returns {WriteRecord} Write record
+     */
+    #describe({ type, data }) {
+        const clone = value => cloneDeep(value, v => this.#toRaw(v))
+
+        if (data.method) {
+            return {
+                type: 'method',
+                path: data.path,
+                method: data.method,
+                args: clone(data.args),
+                value: clone(this.#resolve(data.path.split('.'), data.path, true)),
+                timestamp: data.timestamp
+            }
+        }
+
+        const write = { type, path: data.path, old_value: clone(data.old_value), timestamp: data.timestamp }
+
+        if (type !== 'delete') {
+            write.value = clone(data.new_value)
+        }
+
+        return write
+    }
+
+    /**
+     * Delivers the write records of committed patches to observers.
+     *
+     * @private
+     * @param {Patch[]} patches - Committed patches
+     */
+    #notify(patches) {
+        for (const { write } of patches) {
+            if (!write) continue
+
+            for (const callback of [...this.#observers]) {
+                try {
+                    callback(write, this)
+                } catch (error) {
+                    console.error('Error in write observer:', error)
+                }
+            }
+        }
+    }
+
+    /**
+     * Registers a middleware that runs before every write (property sets,
+     * deletions, array and collection mutations) is committed.
+     *
+     * A middleware receives the pending write and the context. It can:
+     * - let it through (return nothing)
+     * - transform it (assign `write.value`, or `write.args` for method calls)
+     * - reject it (return `false` or a reason string, or throw)
+     *
+     * Rejected writes leave the state untouched and emit `namespace:prop:rejected`
+     * and `namespace:rejected` events. Validators declared in createReactiveFields()
+     * run after every middleware. Undo and redo bypass both.
+     *
+     * @param {function(PendingWrite, ReactiveContext): (void|boolean|string)} middleware - Write handler
+     * @returns {Function} Cleanup function to unregister the middleware
+     *
+     * @example Transform
+     * ctx.use((write) => {
+     *     if (write.path === 'user.email' && typeof write.value === 'string') {
+     *         write.value = write.value.trim().toLowerCase()
+     *     }
+     * })
+     *
+     * @example Reject
+     * ctx.use((write, context) => {
+     *     if (context.session.read_only) return 'Session is read-only'
+     * })
+     */
+    use(middleware) {
+        this.#middleware.push(middleware)
+
+        return () => {
+            const index = this.#middleware.indexOf(middleware)
+            if (index > -1) this.#middleware.splice(index, 1)
+        }
+    }
+
+    /**
+     * Runs middleware and validators over a pending write.
+     *
+     * @private
+     * @param {PendingWrite} write - Pending write
+     * @returns {PendingWrite|null} The (possibly transformed) write, or null if rejected
+     */
+    #intercept(write) {
+        if (this.#history.applying) return write
+        if (!this.#middleware.length && !this.#validators.length) return write
+
+        for (const middleware of [...this.#middleware]) {
+            let verdict
+
+            try {
+                verdict = middleware(write, this)
+            } catch (error) {
+                verdict = error
+            }
+
+            if (verdict === false || typeof verdict === 'string' || verdict instanceof Error) {
+                this.#reject(write, verdict === false ? 'Rejected by middleware' : verdict)
+                return null
+            }
+        }
+
+        const reason = this.#validate(write)
+
+        if (reason !== null) {
+            this.#reject(write, reason)
+            return null
+        }
+
+        return write
+    }
+
+    /**
+     * Runs the validators over the result of a pending write. Validators of the
+     * written path check the new value, and validators of nested paths check
+     * what the write leaves there: assigning an object, mutating an array or
+     * deleting a property is checked like setting every value it contains.
+     *
+     * @private
+     * @param {PendingWrite} write - Pending write
+     * @returns {string|null} Why the write is invalid, or null if it's valid
+     */
+    #validate(write) {
+        const segments = write.path.split('.')
+        const unwrap = value => this.#toRaw(value)
+        let result
+        let resolved = false
+
+        for (const { segments: pattern, rule } of this.#validators) {
+            const positions = matchPrefix(pattern, segments)
+
+            if (!positions.length) continue
+
+            if (!resolved) {
+                result = this.#resultOf(write)
+                resolved = true
+            }
+
+            const targets = new Map()
+
+            for (const index of positions) {
+                collectTargets(pattern, index, result, write.path, unwrap, targets)
+            }
+
+            for (const [path, value] of targets) {
+                if (typeof rule === 'function') {
+                    const verdict = rule(value, write)
+
+                    if (verdict === false) return `'${path}' is invalid`
+                    if (typeof verdict === 'string') return verdict
+
+                    continue
+                }
+
+                const verdict = checkRule(rule, value)
+
+                if (verdict !== true) return `'${path}' ${verdict}`
+            }
+        }
+
+        return null
+    }
+
+    /**
+     * Computes the value a pending write leaves at its path. Method calls are
+     * replayed on a copy of the array or collection.
+     *
+     * @private
+     * @param {PendingWrite} write - Pending write
+     * @returns {*} Value at the written path after the write
+     */
+    #resultOf(write) {
+        if (write.type === 'set') return write.value
+        if (write.type === 'delete') return undefined
+
+        const target = this.#resolve(write.path.split('.'), write.path, true)
+        let copy
+
+        if (Array.isArray(target)) copy = [...target]
+        else if (target instanceof Map) copy = new Map(target)
+        else if (target instanceof Set) copy = new Set(target)
+        else if (target instanceof Date) copy = new Date(target.getTime())
+        else return target
+
+        copy[write.method](...write.args)
+
+        return copy
+    }
+
+    /**
+     * Emits the rejection events of a write.
+     *
+     * @private
+     * @param {PendingWrite} write - Rejected write
+     * @param {string|Error} reason - Why it was rejected
+     */
+    #reject(write, reason) {
+        const { namespace, prop } = write
+        const data = { ...write, reason, timestamp: Date.now() }
+
+        delete data.namespace
+
+        if (prop !== null) {
+            this.#emit(`${namespace}:${String(prop)}:rejected`, data)
+        }
+
+        this.#emit(`${namespace}:rejected`, data)
+    }
+
+    /**
+     * Runs a callback as a single transaction. Change events produced inside it
+     * are collected and delivered once the outermost batch ends, coalesced to
+     * one event per path (first `old_value`, last `new_value`). Writes that end
+     * up restoring the original value emit nothing. With `jsonPatch`, only
+     * consecutive writes to a path are coalesced, to keep operations in order.
+     *
+     * With `rollback: true`, every write made inside the callback is reverted
+     * (without emitting events) if it throws, and the error is re-thrown.
+     *
+     * @param {Function} callback - Synchronous function receiving the context
+     * @param {Object} [options] - Batch options
+     * @param {boolean} [options.rollback=false] - Revert all writes if the callback throws
+     * @returns {*} The callback's return value
+     *
+     * @example
+     * ctx.batch(() => {
+     *     ctx.items.splice(0, 1)
+     *     ctx.state.count = 1
+     *     ctx.state.count = 2
+     * })
+     * // ✅ One 'items:change' and one 'state:count:change' (old_value: 0, new_value: 2)
+     *
+     * @example Rollback
+     * try {
+     *     ctx.batch(() => {
+     *         ctx.state.count = 10
+     *         throw new Error('Validation failed')
+     *     }, { rollback: true })
+     * } catch (error) {
+     *     ctx.state.count // Original value, no events emitted
+     * }
+     */
+    batch(callback, { rollback = false } = {}) {
+        const parent = this.#batches[this.#batches.length - 1]
+        const batch = {
+            queue: new Map(),
+            patches: [],
+            rollback: rollback || Boolean(parent?.rollback)
+        }
+
+        this.#batches.push(batch)
+
+        let result
+
+        try {
+            result = callback(this)
+        } catch (error) {
+            this.#batches.pop()
+
+            if (rollback) {
+                this.#rollback(batch.patches)
+            } else {
+                this.#release(batch, parent)
+            }
+
+            throw error
+        }
+
+        this.#batches.pop()
+        this.#release(batch, parent)
+
+        return result
+    }
+
+    /**
+     * Routes a committed change: invalidates dependent computed fields, then
+     * either queues it in the active batch or emits it right away.
+     *
+     * @private
+     * @param {Change} change - Change to deliver
+     * @param {Patch} [patch] - Invertible record of the write (omitted for derived changes)
+     */
+    #commit(change, patch) {
+        const reshaped = change.type === 'add' || change.type === 'delete'
+
+        this.#invalidate(change.data.path, reshaped ? change.namespace : null)
+
+        if (patch) {
+            if (this.#observers.length) {
+                patch.write = this.#describe(change)
+            }
+
+            if (this.#options.jsonPatch && !change.data.operations) {
+                change.data.operations = this.#toOperations(change)
+            }
+        }
+
+        const batch = this.#batches[this.#batches.length - 1]
+
+        if (batch) {
+            if (patch) batch.patches.push(patch)
+            this.#enqueue(batch.queue, change)
+            return
+        }
+
+        if (patch) {
+            this.#record([patch])
+            this.#notify([patch])
+            this.#schedulePersist()
+        }
+
+        if (this.#options.autoBatch) {
+            if (!this.#pending) {
+                this.#pending = new Map()
+                queueMicrotask(() => this.#flush())
+            }
+
+            this.#enqueue(this.#pending, change)
+            return
+        }
+
+        this.#emitChange(change)
+    }
+
+    /**
+     * Describes a committed change as JSON Patch operations. Map entries are
+     * addressed by key; Set and Date changes replace the whole value.
+     *
+     * @private
+     * @param {Change} change - Committed change
+     * @returns {JsonPatchOperation[]} Operations
+     */
+    #toOperations({ type, prop, data }) {
+        if (typeof prop === 'symbol') return []
+
+        const pointer = toPointer(data.path)
+        const toValue = value => toJsonValue(value, v => this.#toRaw(v))
+
+        if (!data.method) {
+            if (type === 'delete') return [{ op: 'remove', path: pointer }]
+
+            return [{ op: type === 'add' ? 'add' : 'replace', path: pointer, value: toValue(data.new_value) }]
+        }
+
+        const target = this.#resolve(data.path.split('.'), data.path, true)
+
+        if (target instanceof Map && data.method !== 'clear') {
+            const entry = `${pointer}${toPointer(String(data.key))}`
+
+            return data.method === 'delete'
+                ? [{ op: 'remove', path: entry }]
+                : [{ op: 'add', path: entry, value: toValue(data.value) }]
+        }
+
+        return [{ op: 'replace', path: pointer, value: toValue(target) }]
+    }
+
+    /**
+     * Commits a change for every leaf that differs between a replaced object or
+     * array and its replacement, so listeners on nested paths keep firing.
+     *
+     * @private
+     * @param {string} namespace - Namespace of the replaced value
+     * @param {*} old_value - Previous value
+     * @param {*} new_value - Replacement value
+     * @param {string} boundary - Namespace where bubbling of the leaf events stops
+     * @param {Set} [seen] - Already compared objects (guards against cycles)
+     */
+    #commitDiff(namespace, old_value, new_value, boundary, seen = new Set()) {
+        const before = this.#toRaw(old_value)
+        const after = this.#toRaw(new_value)
+
+        if (!isDiffable(before, after) || seen.has(before)) return
+
+        seen.add(before)
+
+        const keys = new Set([...Object.keys(before), ...Object.keys(after)])
+
+        if (Array.isArray(before)) keys.add('length')
+
+        for (const key of keys) {
+            if (isDiffable(before[key], after[key])) {
+                this.#commitDiff(`${namespace}.${key}`, before[key], after[key], boundary, seen)
+                continue
+            }
+
+            if (isSameValue(before[key], after[key])) continue
+
+            this.#commit({
+                namespace,
+                prop: key,
+                type: !(key in before) ? 'add' : !(key in after) ? 'delete' : 'update',
+                boundary,
+                data: {
+                    prop: key,
+                    path: `${namespace}.${key}`,
+                    old_value: before[key],
+                    new_value: after[key],
+                    timestamp: Date.now()
+                }
+            })
+        }
+    }
+
+    /**
+     * Whether writes must currently keep enough information to be reverted.
+     *
+     * @private
+     * @returns {boolean} True when history is enabled or inside a rollback-enabled batch
+     */
+    #isRecording() {
+        return this.#options.history || Boolean(this.#batches[this.#batches.length - 1]?.rollback)
+    }
+
+    /**
+     * Adds a change to a queue, coalescing it with a previous change on the
+     * same path: property changes keep the first `old_value` and the last
+     * `new_value`; array mutations keep the last call and list all of them in
+     * `mutations`.
+     *
+     * With `jsonPatch`, only consecutive changes to the same path are
+     * coalesced, so the operations of the queue replay in write order.
+     *
+     * @private
+     * @param {Map} queue - Queue keyed by path and change kind
+     * @param {Object} change - Change record ({ namespace, prop, data })
+     */
+    #enqueue(queue, change) {
+        const { data } = change
+        const base = `${data.path}|${data.method ? 'method' : 'value'}`
+        const tail = this.#tails.get(queue)
+        let key = base
+
+        if (this.#options.jsonPatch) {
+            key = tail?.base === base ? tail.key : `${base}|${queue.size}`
+            this.#tails.set(queue, { base, key })
+        }
+
+        const queued = queue.get(key)
+
+        if (data.method) {
+            const mutations = [
+                ...(queued?.data.mutations ?? []),
+                ...(data.mutations ?? [{ method: data.method, args: data.args }])
+            ]
+
+            const merged = { ...data, mutations }
+
+            if (data.operations) {
+                merged.operations = [...(queued?.data.operations ?? []), ...data.operations]
+            }
+
+            queue.set(key, { ...change, data: merged })
+            return
+        }
+
+        if (queued) {
+            queued.type = mergeChangeType(queued.type, change.type)
+            queued.data = { ...queued.data, new_value: data.new_value, timestamp: data.timestamp }
+
+            if (data.operations) {
+                queued.data.operations = this.#toOperations(queued)
+            }
+
+            return
+        }
+
+        queue.set(key, change)
+    }
+
+    /**
+     * Hands a finished batch over to its parent batch, or flushes it when it
+     * was the outermost one.
+     *
+     * @private
+     * @param {Object} batch - Finished batch
+     * @param {Object|undefined} parent - Enclosing batch, if any
+     */
+    #release(batch, parent) {
+        if (!parent) {
+            this.#record(batch.patches)
+            this.#notify(batch.patches)
+            if (batch.patches.length) this.#schedulePersist()
+            this.#flush(batch.queue)
+            return
+        }
+
+        for (const change of batch.queue.values()) {
+            this.#enqueue(parent.queue, change)
+        }
+
+        parent.patches.push(...batch.patches)
+    }
+
+    /**
+     * Emits every queued change, skipping property changes whose coalesced
+     * value ended up unchanged.
+     *
+     * @private
+     * @param {Map} [queue] - Queue to flush (defaults to the automatic microtask queue)
+     */
+    #flush(queue) {
+        if (!queue) {
+            queue = this.#pending
+            this.#pending = null
+        }
+
+        if (!queue) return
+
+        for (const change of queue.values()) {
+            const { data } = change
+
+            if (!data.method && Object.is(data.old_value, data.new_value)) continue
+
+            this.#emitChange(change)
+        }
+    }
+
+    /**
+     * Reverts the writes of a failed batch, newest first, and refreshes the
+     * computed fields so no stale cached values survive.
+     *
+     * @private
+     * @param {Patch[]} patches - Patches in write order
+     */
+    #rollback(patches) {
+        for (const patch of [...patches].reverse()) {
+            patch.revert()
+        }
+
+        for (const entry of this.#computed.values()) {
+            if (this.#hasSubscribers(`${entry.name}:change`)) {
+                this.#evaluate(entry)
+            } else {
+                entry.dirty = true
+            }
+        }
+    }
+
+    /**
+     * Pushes a group of patches as one undoable history entry.
+     *
+     * @private
+     * @param {Patch[]} patches - Patches in write order
+     */
+    #record(patches) {
+        const history = this.#history
+
+        if (!this.#options.history || history.applying || !patches.length) return
+
+        history.undo.push(patches)
+        history.redo = []
+
+        if (history.undo.length > this.#options.historyLimit) {
+            history.undo.shift()
+        }
+    }
+
+    /**
+     * Applies a history entry inside a batch without recording it again.
+     *
+     * @private
+     * @param {Patch[]} patches - Patches to apply, already in application order
+     * @param {'undo'|'redo'} direction - Which side of each patch to apply
+     */
+    #travel(patches, direction) {
+        this.#history.applying = true
+
+        try {
+            this.batch(() => {
+                for (const patch of patches) {
+                    patch[direction]()
+                }
+            })
+        } finally {
+            this.#history.applying = false
+        }
+    }
+
+    /**
+     * Whether there is a history entry to undo.
+     *
+     * @type {boolean}
+     */
+    get canUndo() {
+        return this.#history.undo.length > 0
+    }
+
+    /**
+     * Whether there is an undone history entry to redo.
+     *
+     * @type {boolean}
+     */
+    get canRedo() {
+        return this.#history.redo.length > 0
+    }
+
+    /**
+     * Reverts the last history entry. Requires the `history` option.
+     *
+     * Every change made outside a batch is one entry; a batch (including all
+     * its nested batches) is recorded as a single entry.
+     *
+     * @returns {boolean} False if there was nothing to undo
+     *
+     * @example
+     * ctx.batch(() => {
+     *     ctx.doc.title = 'Draft'
+     *     ctx.doc.tags.push('new')
+     * })
+     *
+     * ctx.undo() // ✅ Restores both the title and the tags, emitting change events
+     * ctx.redo() // ✅ Applies them again
+     */
+    undo() {
+        const entry = this.#history.undo.pop()
+
+        if (!entry) return false
+
+        this.#travel([...entry].reverse(), 'undo')
+        this.#history.redo.push(entry)
+
+        return true
+    }
+
+    /**
+     * Re-applies the last undone history entry.
+     *
+     * @returns {boolean} False if there was nothing to redo
+     */
+    redo() {
+        const entry = this.#history.redo.pop()
+
+        if (!entry) return false
+
+        this.#travel(entry, 'redo')
+        this.#history.undo.push(entry)
+
+        return true
+    }
+
+    /**
+     * Discards every undo and redo entry.
+     */
+    clearHistory() {
+        this.#history.undo = []
+        this.#history.redo = []
+    }
+
+    /**
+     * Returns a deep, plain (non-proxy) copy of every reactive field. Reading
+     * the state this way emits no read events.
+     *
+     * @returns {Object} Object mapping field names to cloned values
+     *
+     * @example
+     * const snapshot = ctx.snapshot()
+     * console.log(JSON.stringify(snapshot)) // Safe to serialize or log
+     */
+    snapshot() {
+        const snapshot = {}
+
+        for (const [field_name, value] of Object.entries(this.#fields)) {
+            snapshot[field_name] = cloneDeep(value, v => this.#toRaw(v))
+        }
+
+        return snapshot
+    }
+
+    /**
+     * Applies a snapshot to the state. Fields are updated in place, so only
+     * the values that actually differ emit change events (coalesced, as in a
+     * batch). Unknown fields are ignored.
+     *
+     * @param {Object} snapshot - Object mapping field names to values (e.g. from snapshot())
+     *
+     * @example
+     * const saved = ctx.snapshot()
+     * ctx.state.count = 99
+     * ctx.restore(saved) // ✅ Emits 'state:count:change' (99 → previous value)
+     */
+    restore(snapshot) {
+        this.batch(() => {
+            for (const [field_name, value] of Object.entries(snapshot)) {
+                if (!(field_name in this.#fields)) continue
+
+                const current = this.#fields[field_name]
+
+                if (this.#canPatch(current, value)) {
+                    this.#patch(current, value)
+                } else {
+                    this[field_name] = cloneDeep(value)
+                }
+            }
+        })
+    }
+
+    /**
+     * Saves a snapshot through the persistence adapter right away, cancelling
+     * any pending debounced save.
+     *
+     * @returns {Promise<void>} Resolves once the adapter has saved
+     */
+    async persistNow() {
+        const persist = this.#options.persist
+
+        if (!persist) return
+
+        clearTimeout(this.#save_timer)
+        this.#save_timer = null
+
+        const snapshot = this.snapshot()
+
+        for (const field_name of Object.keys(snapshot)) {
+            if (!this.#isPersisted(field_name)) delete snapshot[field_name]
+        }
+
+        await persist.adapter.save(persist.key, snapshot)
+    }
+
+    /**
+     * Whether both values can be patched in place (both arrays or both plain objects).
+     *
+     * @private
+     * @param {*} current - Current (reactive) value
+     * @param {*} next - Value to apply
+     * @returns {boolean} True if `next` can be merged into `current`
+     */
+    #canPatch(current, next) {
+        return isDiffable(this.#toRaw(current), next)
+    }
+
+    /**
+     * Recursively writes the differences between a reactive object or array
+     * and a plain value through the proxy.
+     *
+     * @private
+     * @param {Proxy} proxy - Reactive object or array
+     * @param {Object|Array} next - Plain value to apply
+     */
+    #patch(proxy, next) {
+        const raw = this.#toRaw(proxy)
+
+        if (Array.isArray(raw) && raw.length > next.length) {
+            proxy.splice(next.length)
+        }
+
+        for (const key of Object.keys(raw)) {
+            if (!Array.isArray(raw) && !(key in next)) delete proxy[key]
+        }
+
+        for (const [key, value] of Object.entries(next)) {
+            if (this.#canPatch(raw[key], value)) {
+                this.#patch(proxy[key], value)
+            } else if (!(key in raw) || !isSameValue(raw[key], value)) {
+                proxy[key] = cloneDeep(value)
+            }
+        }
+    }
+
+    /**
+     * Loads the persisted snapshot. Synchronous adapters are applied when the
+     * fields are created; asynchronous ones through restore() once they resolve.
+     *
+     * @private
+     */
+    #rehydrate() {
+        const { adapter, key } = this.#options.persist
+
+        let loaded
+
+        try {
+            loaded = adapter.load(key)
+        } catch (error) {
+            console.error('Error loading persisted state:', error)
+            return
+        }
+
+        if (typeof loaded?.then !== 'function') {
+            this.#persisted = loaded ?? null
+            return
+        }
+
+        loaded.then(
+            (snapshot) => {
+                if (!snapshot) return
+
+                const fields = Object.keys(snapshot).filter(field_name => this.#isPersisted(field_name))
+
+                this.restore(Object.fromEntries(fields.map(field_name => [field_name, snapshot[field_name]])))
+            },
+            (error) => console.error('Error loading persisted state:', error)
+        )
+    }
+
+    /**
+     * Whether a field is included in persistence.
+     *
+     * @private
+     * @param {string} field_name - Reactive field name
+     * @returns {boolean} True if the field is saved and rehydrated
+     */
+    #isPersisted(field_name) {
+        const fields = this.#options.persist?.fields
+
+        return Boolean(this.#options.persist) && (!fields || fields.includes(field_name))
+    }
+
+    /**
+     * Debounces a save after a committed change. Writes inside a batch are
+     * only committed when the outermost batch ends, so a rolled back batch
+     * never schedules one.
+     *
+     * @private
+     */
+    #schedulePersist() {
+        const persist = this.#options.persist
+
+        if (!persist) return
+
+        clearTimeout(this.#save_timer)
+
+        this.#save_timer = setTimeout(() => {
+            this.persistNow().catch(error => console.error('Error persisting state:', error))
+        }, persist.debounce)
+    }
+
+    /**
+     * Emits the specific and generic change events for a mutation and, when
+     * bubbling is enabled, the generic change event of every ancestor namespace.
+     * Deletions also emit the specific and generic `:delete` events first.
+     *
+     * @private
+     * @param {Change} change - Change to emit
+     */
+    #emitChange({ namespace, prop, type, data, boundary }) {
+        if (type === 'delete') {
+            this.#emit(`${namespace}:${String(prop)}:delete`, data)
+            this.#emit(`${namespace}:delete`, data)
+        }
+
+        // Wildcard listeners matching several bubbled events get the change once
+        const delivered = new Set()
+
+        if (prop !== null) {
+            this.#emit(`${namespace}:${String(prop)}:change`, data, delivered)
+        }
+
+        this.#emit(`${namespace}:change`, data, delivered)
+
+        if (!this.#options.bubble) return
+
+        let parent = namespace
+
+        while (parent.includes('.') && parent !== boundary) {
+            parent = parent.slice(0, parent.lastIndexOf('.'))
+            this.#emit(`${parent}:change`, data, delivered)
+        }
+    }
+
+    /**
+     * Emits an event to all registered listeners, including wildcard listeners
+     * whose pattern matches the event name.
+     *
+     * @private
+     * @param {string} event - Event name
+     * @param {*} data - Data to pass to listeners
+     * @param {Set<string>} [delivered] - Patterns that already received this data, skipped and updated
+     */
+    #emit(event, data, delivered) {
+        this.#invoke(event, this.#listeners[event], data)
+
+        for (const [pattern, regex] of this.#patterns) {
+            if (delivered?.has(pattern) || !regex.test(event)) continue
+
+            delivered?.add(pattern)
+            this.#invoke(event, this.#listeners[pattern], data)
+        }
+    }
+
+    /**
+     * Checks whether an event would reach any listener, wildcard ones included.
+     *
+     * @private
+     * @param {string} event - Event name
+     * @returns {boolean} True if at least one listener would be called
+     */
+    #hasSubscribers(event) {
+        if (this.hasListeners(event)) return true
+
+        for (const [pattern, regex] of this.#patterns) {
+            if (regex.test(event) && this.hasListeners(pattern)) return true
+        }
+
+        return false
+    }
+
+    /**
+     * Calls a list of listeners, isolating errors thrown by each one.
+     *
+     * @private
+     * @param {string} event - Event name (used in error messages)
+     * @param {Function[]|undefined} callbacks - Listeners to call
+     * @param {*} data - Data to pass to listeners
+     */
+    #invoke(event, callbacks, data) {
+        if (!callbacks?.length) return
+
+        // Copy so listeners removing themselves (e.g. once()) don't skip others
+        for (const callback of [...callbacks]) {
+            try {
+                callback(data, this)
+            } catch (error) {
+                console.error(`Error in listener for "${event}":`, error)
+            }
+        }
+    }
+
+    /**
+     * Registers an event listener.
+     *
+     * The event name may contain glob wildcards: `*` matches one namespace
+     * segment and `**` matches any number of them.
+     *
+     * @param {string} event - Event name or pattern (e.g., 'state:count:change', 'state.*:change', '**:read')
+     * @param {Function} callback - Handler receiving (data, context) parameters
      * @returns {Function} Cleanup function to unregister the listener
      *
      * @example Specific property change listener
@@ -251,14 +2381,26 @@ export class ReactiveContext {
      *         console.log(`Array.${data.method}() called`)
      *     }
      * })
+     *
+     * @example Wildcard listeners
+     * ctx.on('state.*:change', (data) => console.log(data.path))  // state.user:change, state.cart:change...
+     * ctx.on('state.**:change', (data) => console.log(data.path)) // Any change at or below 'state'
+     * ctx.on('*:read', (data) => console.log(data.prop))          // Reads on any root field
      */
     on(event, callback) {
         if (!this.#listeners[event]) {
             this.#listeners[event] = []
         }
 
+        if (event.includes('*') && !this.#patterns.has(event)) {
+            this.#patterns.set(event, compilePattern(event))
+        }
+
         this.#listeners[event].push(callback)
 
+        // Computed fields only report changes once they have a cached value
+        this.#prime()
+
         return () => this.off(event, callback)
     }
 
@@ -304,6 +2446,145 @@ export class ReactiveContext {
         return this.on(event, wrapper)
     }
 
+    /**
+     * Waits until a predicate over the context becomes truthy.
+     *
+     * The predicate runs immediately and again after every change event. The
+     * listener, timer and abort handler are always removed once the promise
+     * settles.
+     *
+     * @param {function(ReactiveContext): *} predicate - Condition to wait for
+     * @param {Object} [options] - Optional configuration
+     * @param {number} [options.timeout] - Milliseconds to wait before rejecting
+     * @param {AbortSignal} [options.signal] - Signal that cancels the wait
+     * @returns {Promise<*>} Resolves with the predicate's first truthy result
+     *
+     * @example
+     * await ctx.waitFor(ctx => ctx.auth.ready, { timeout: 5000 })
+     *
+     * @example Cancelling
+     * const controller = new AbortController()
+     * ctx.waitFor(ctx => ctx.cart.items.length > 0, { signal: controller.signal })
+     *     .catch(error => console.log(error.name))  // 'AbortError'
+     * controller.abort()
+     */
+    waitFor(predicate, { timeout, signal } = {}) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(signal.reason)
+                return
+            }
+
+            let timer = null
+            let off = null
+
+            const settle = (callback, value) => {
+                off?.()
+                clearTimeout(timer)
+                signal?.removeEventListener('abort', abort)
+                callback(value)
+            }
+
+            const abort = () => settle(reject, signal.reason)
+
+            const check = () => {
+                try {
+                    const result = predicate(this)
+                    if (result) settle(resolve, result)
+                    return Boolean(result)
+                } catch (error) {
+                    settle(reject, error)
+                    return true
+                }
+            }
+
+            if (check()) return
+
+            off = this.on('**:change', check)
+            signal?.addEventListener('abort', abort, { once: true })
+
+            if (timeout !== undefined) {
+                timer = setTimeout(() => {
+                    settle(reject, new Error(`waitFor() timed out after ${timeout}ms`))
+                }, timeout)
+            }
+        })
+    }
+
+    /**
+     * Returns an async iterator of the change payloads affecting a path: the
+     * path itself, anything nested below it, and the replacement of any of
+     * its ancestors.
+     *
+     * Listening starts right away; payloads emitted while the consumer is busy
+     * are buffered. The listener is removed when the loop exits (`break`,
+     * `return` or a thrown error) or when the signal aborts, which ends the
+     * iteration.
+     *
+     * @param {string} path - Dotted path (e.g. 'cart.items')
+     * @param {Object} [options] - Optional configuration
+     * @param {AbortSignal} [options.signal] - Signal that ends the iteration
+     * @returns {AsyncIterableIterator<Object>} Change payloads
+     *
+     * @example
+     * const controller = new AbortController()
+     *
+     * for await (const change of ctx.watch('cart.items', { signal: controller.signal })) {
+     *     renderList(ctx.cart.items)
+     * }
+     */
+    watch(path, { signal } = {}) {
+        const buffer = []
+        const waiting = []
+        let done = Boolean(signal?.aborted)
+        let off = null
+
+        const finish = () => {
+            done = true
+            off?.()
+            signal?.removeEventListener('abort', finish)
+
+            for (const { resolve } of waiting.splice(0)) {
+                resolve({ value: undefined, done: true })
+            }
+
+            return Promise.resolve({ value: undefined, done: true })
+        }
+
+        if (!done) {
+            off = this.on(`${path.split('.')[0]}.**:change`, (data) => {
+                const changed = String(data.path)
+
+                if (changed !== path && !changed.startsWith(`${path}.`) && !path.startsWith(`${changed}.`)) return
+
+                if (waiting.length) {
+                    waiting.shift().resolve({ value: data, done: false })
+                } else {
+                    buffer.push(data)
+                }
+            })
+
+            signal?.addEventListener('abort', finish, { once: true })
+        }
+
+        return {
+            next: () => {
+                if (buffer.length) return Promise.resolve({ value: buffer.shift(), done: false })
+                if (done) return Promise.resolve({ value: undefined, done: true })
+
+                return new Promise(resolve => waiting.push({ resolve }))
+            },
+            return: finish,
+            throw: (error) => {
+                finish()
+                return Promise.reject(error)
+            },
+            [Symbol.asyncIterator]() {
+                return this
+            }
+        }
+    }
+
     /**
      * Removes all listeners for an event, or all listeners entirely.
      *
@@ -318,9 +2599,20 @@ export class ReactiveContext {
             this.#listeners[event] = []
         } else {
             this.#listeners = {}
+            this.#patterns.clear()
         }
     }
 
+    /**
+     * Gets the names of the fields created with createReactiveFields() and
+     * createComputedFields(), in creation order.
+     *
+     * @returns {string[]} Array of field names
+     */
+    getFieldNames() {
+        return [...Object.keys(this.#fields), ...this.#computed.keys()]
+    }
+
     /**
      * Gets all event names with registered listeners.
      *
@@ -0,0 +1,151 @@
+import { isPlainObject } from './values.js'
+
+/**
+ * A JSON Patch (RFC 6902) operation.
+ *
+ * @typedef {Object} JsonPatchOperation
+ * @property {'add'|'remove'|'replace'|'move'|'copy'|'test'} op - Operation
+ * @property {string} path - JSON Pointer of the target location
+ * @property {string} [from] - JSON Pointer of the source location (move, copy)
+ * @property {*} [value] - Value to add, replace with or test against
+ */
+
+/**
+ * Converts a dotted path to a JSON Pointer (RFC 6901).
+ *
+ * @param {string} path - Dotted path (e.g. 'cart.items.0')
+ * @returns {string} JSON Pointer (e.g. '/cart/items/0')
+ */
+export const toPointer = (path) => {
+    return path
+        .split('.')
+        .map(segment => `/${segment.replace(/~/g, '~0').replace(/\//g, '~1')}`)
+        .join('')
+}
+
+/**
+ * Splits a JSON Pointer (RFC 6901) into unescaped segments.
+ *
+ * @param {string} pointer - JSON Pointer (e.g. '/cart/items/0')
+ * @returns {string[]} Path segments
+ * @throws {SyntaxError} If the pointer is not empty and doesn't start with '/'
+ */
+export const parsePointer = (pointer) => {
+    if (pointer === '') return []
+
+    if (typeof pointer !== 'string' || !pointer.startsWith('/')) {
+        throw new SyntaxError(`Invalid JSON Pointer '${pointer}'`)
+    }
+
+    return pointer
+        .slice(1)
+        .split('/')
+        .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+}
+
+/**
+ * Deep clones a value into its JSON representation: Maps become objects and
+ * Sets become arrays. Dates are kept and serialize as ISO strings.
+ *
+ * @param {*} value - Value to convert
+ * @param {Function} [unwrap] - Maps proxies to their raw targets
+ * @returns {*} JSON-compatible clone
+ */
+export const toJsonValue = (value, unwrap = v => v) => {
+    if (value === null || typeof value !== 'object') return value
+
+    value = unwrap(value)
+
+    if (value instanceof Date) return new Date(value.getTime())
+    if (value instanceof Set) return [...value].map(item => toJsonValue(item, unwrap))
+
+    if (Array.isArray(value)) return value.map(item => toJsonValue(item, unwrap))
+
+    const entries = value instanceof Map ? [...value] : Object.entries(value)
+
+    return Object.fromEntries(entries.map(([key, item]) => [key, toJsonValue(item, unwrap)]))
+}
+
+/**
+ * Converts a JSON value back to the type of the value it replaces, so Sets,
+ * Maps and Dates keep their type when patched with their JSON representation.
+ *
+ * @param {*} current - Raw value being replaced
+ * @param {*} value - Incoming JSON value
+ * @returns {*} Value to write
+ */
+export const fromJsonValue = (current, value) => {
+    if (current instanceof Set && Array.isArray(value)) return new Set(value)
+    if (current instanceof Map && isPlainObject(value)) return new Map(Object.entries(value))
+    if (current instanceof Date && (typeof value === 'string' || typeof value === 'number')) return new Date(value)
+
+    return value
+}
+
+/**
+ * Maps an array mutation to JSON Patch operations. Index-based methods become
+ * `add`/`remove` operations; reordering and filling methods replace the
+ * whole array.
+ *
+ * @param {string} pointer - JSON Pointer of the array
+ * @param {string} method - Mutating method
+ * @param {Array} args - Method arguments
+ * @param {number} length - Array length before the call
+ * @param {Array} array - Array after the call
+ * @param {Function} toValue - Converts a value to its JSON representation
+ * @returns {JsonPatchOperation[]} Operations
+ */
+export const arrayOperations = (pointer, method, args, length, array, toValue) => {
+    const add = (item, index) => ({ op: 'add', path: `${pointer}/${index}`, value: toValue(item) })
+    const remove = (index) => ({ op: 'remove', path: `${pointer}/${index}` })
+
+    switch (method) {
+        case 'push':
+            return args.map((item, index) => add(item, length + index))
+        case 'unshift':
+            return args.map((item, index) => add(item, index))
+        case 'pop':
+            return length ? [remove(length - 1)] : []
+        case 'shift':
+            return length ? [remove(0)] : []
+        case 'splice': {
+            if (!args.length) return []
+
+            const relative = Math.trunc(Number(args[0])) || 0
+            const start = relative < 0 ? Math.max(length + relative, 0) : Math.min(relative, length)
+            const count = args.length < 2
+                ? length - start
+                : Math.min(Math.max(Math.trunc(Number(args[1])) || 0, 0), length - start)
+
+            return [
+                ...Array.from({ length: count }, () => remove(start)),
+                ...args.slice(2).map((item, index) => add(item, start + index))
+            ]
+        }
+        default:
+            return [{ op: 'replace', path: pointer, value: toValue(array) }]
+    }
+}
+
+/**
+ * Compares two JSON values structurally, ignoring object key order.
+ *
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if both values are deeply equal
+ */
+export const isDeepEqual = (a, b) => {
+    // Dates travel as ISO strings in JSON documents
+    if (a instanceof Date) a = a.toJSON()
+    if (b instanceof Date) b = b.toJSON()
+
+    if (Object.is(a, b)) return true
+    if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') return false
+    if (Array.isArray(a) !== Array.isArray(b)) return false
+
+    const keys = Object.keys(a)
+
+    if (keys.length !== Object.keys(b).length) return false
+
+    return keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && isDeepEqual(a[key], b[key]))
+}
@@ -0,0 +1,122 @@
+/**
+ * Persistence adapter backed by a Web Storage object (localStorage by default).
+ *
+ * Snapshots are stored as JSON, so Dates are saved as strings and Maps/Sets
+ * lose their entries. Pass custom `serialize`/`deserialize` functions to keep
+ * them.
+ *
+ * @example
+ * class SessionContext extends ReactiveContext {
+ *     constructor() {
+ *         super({
+ *             persist: { adapter: new LocalStorageAdapter(), key: 'session' }
+ *         })
+ *         this.createReactiveFields({ cart: { items: [] } })
+ *     }
+ * }
+ */
+export class LocalStorageAdapter {
+    /**
+     * @param {Object} [options] - Optional configuration
+     * @param {Storage} [options.storage=localStorage] - Storage object (e.g. sessionStorage)
+     * @param {Function} [options.serialize=JSON.stringify] - Converts a snapshot to a string
+     * @param {Function} [options.deserialize=JSON.parse] - Converts a stored string back to a snapshot
+     */
+    constructor(options = {}) {
+        this.opts = {
+            storage: globalThis.localStorage,
+            serialize: JSON.stringify,
+            deserialize: JSON.parse,
+            ...options
+        }
+
+        if (!this.opts.storage) {
+            throw new Error('LocalStorageAdapter: a Storage object is required.')
+        }
+    }
+
+    /**
+     * Reads the snapshot stored under a key.
+     *
+     * @param {string} key - Storage key
+     * @returns {Object|null} Stored snapshot, or null if missing or unreadable
+     */
+    load(key) {
+        const stored = this.opts.storage.getItem(key)
+
+        if (stored === null) return null
+
+        try {
+            return this.opts.deserialize(stored)
+        } catch (error) {
+            console.warn(`⚠️ Ignoring unreadable persisted state '${key}'.`, error)
+            return null
+        }
+    }
+
+    /**
+     * Stores a snapshot under a key.
+     *
+     * @param {string} key - Storage key
+     * @param {Object} snapshot - Plain snapshot
+     */
+    save(key, snapshot) {
+        this.opts.storage.setItem(key, this.opts.serialize(snapshot))
+    }
+
+    /**
+     * Removes the snapshot stored under a key.
+     *
+     * @param {string} key - Storage key
+     */
+    remove(key) {
+        this.opts.storage.removeItem(key)
+    }
+}
+
+/**
+ * In-memory persistence adapter. Useful for tests, server-side rendering and
+ * environments without Web Storage. Snapshots are kept as-is, so every value
+ * type survives.
+ *
+ * @example
+ * const adapter = new MemoryStorageAdapter()
+ * const first = new AppContext({ persist: { adapter } })
+ * first.state.count = 5
+ * await first.persistNow()
+ *
+ * const second = new AppContext({ persist: { adapter } })
+ * second.state.count // 5
+ */
+export class MemoryStorageAdapter {
+    #store = new Map()
+
+    /**
+     * Reads the snapshot stored under a key.
+     *
+     * @param {string} key - Storage key
+     * @returns {Object|null} Stored snapshot, or null if missing
+     */
+    load(key) {
+        return this.#store.get(key) ?? null
+    }
+
+    /**
+     * Stores a snapshot under a key.
+     *
+     * @param {string} key - Storage key
+     * @param {Object} snapshot - Plain snapshot
+     */
+    save(key, snapshot) {
+        this.#store.set(key, snapshot)
+    }
+
+    /**
+     * Removes the snapshot stored under a key.
+     *
+     * @param {string} key - Storage key
+     */
+    remove(key) {
+        this.#store.delete(key)
+    }
+}
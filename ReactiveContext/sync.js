@@ -0,0 +1,449 @@
+/**
+ * Creates a random identifier for a sync peer.
+ *
+ * @returns {string} Peer identifier
+ */
+const createPeerId = () => {
+    return globalThis.crypto?.randomUUID?.() ?? Math.random().toString(36).slice(2)
+}
+
+/**
+ * Clones a message the way postMessage() would, so in-memory peers never
+ * share objects.
+ *
+ * @param {*} message - Message to clone
+ * @returns {*} Cloned message
+ */
+const cloneMessage = (message) => {
+    return typeof structuredClone === 'function' ? structuredClone(message) : message
+}
+
+/**
+ * @typedef {Object} SyncTransport
+ * @property {function(Object): void} send - Sends a message to every other peer
+ * @property {function(function(Object): void): Function} subscribe - Registers a
+ * message handler and returns a function that unregisters it
+ * @property {function(): void} [close] - Releases the underlying channel
+ */
+
+/**
+ * @typedef {Object} SyncVersion
+ * @property {number} time - Timestamp of the write
+ * @property {string} origin - Identifier of the peer that made it
+ * @property {number} sequence - Position among the writes of that peer
+ */
+
+/**
+ * @typedef {Object} ReactiveSyncOptions
+ * @property {SyncTransport} transport - Message transport shared with the other peers
+ * @property {string} [id] - Unique peer identifier (random by default)
+ * @property {'last-writer-wins'|Function} [conflict='last-writer-wins'] Conflict policy.
+ * A function receives (write, { local, remote }) and returns false to drop the incoming write.
+ * @property {string[]|null} [fields=null] Fields to synchronize (defaults to every reactive field)
+ * @property {boolean} [requestState=true] Ask the other peers for their current state on start.
+ */
+
+/**
+ * Mirrors a ReactiveContext across tabs, workers or any other peers connected
+ * through a message transport.
+ *
+ * Local writes are sent as patches; incoming patches are applied through the
+ * context's proxies (so listeners fire) and never echoed back. Conflicts are
+ * resolved per path: by default the write with the newest timestamp wins,
+ * compared with the writes to the same path, its ancestors and its
+ * descendants. Versions replaced by a write to an ancestor are dropped. Array and collection mutations
+ * are sent as the resulting collection, so every peer converges on the same
+ * contents.
+ *
+ * @example
+ * const ctx = new CartContext()
+ * const sync = new ReactiveSync(ctx, {
+ *     transport: new BroadcastChannelTransport('cart'),
+ *     fields: ['cart', 'auth']
+ * })
+ *
+ * // Later
+ * sync.destroy()
+ */
+export class ReactiveSync {
+    #context
+    #versions = new Map()
+    #sequence = 0
+    #applying = false
+    #synced = false
+    #cleanups = []
+
+    /**
+     * @param {ReactiveContext} context - Context to synchronize
+     * @param {ReactiveSyncOptions} options - Sync configuration
+     */
+    constructor(context, options = {}) {
+        if (typeof context?.observe !== 'function' || typeof context?.applyWrite !== 'function') {
+            throw new Error('ReactiveSync: a valid ReactiveContext is required.')
+        }
+
+        this.opts = {
+            transport: null,
+            id: createPeerId(),
+            conflict: 'last-writer-wins',
+            fields: null,
+            requestState: true,
+            ...options
+        }
+
+        const { transport, conflict } = this.opts
+
+        if (typeof transport?.send !== 'function' || typeof transport?.subscribe !== 'function') {
+            throw new Error('ReactiveSync: a transport with send() and subscribe() is required.')
+        }
+        if (conflict !== 'last-writer-wins' && typeof conflict !== 'function') {
+            throw new Error('ReactiveSync: conflict must be "last-writer-wins" or a function.')
+        }
+
+        this.#context = context
+
+        this.#cleanups.push(
+            context.observe((write) => this.#handleLocal(write)),
+            transport.subscribe((message) => this.#handleRemote(message))
+        )
+
+        if (this.opts.requestState) {
+            this.#send({ type: 'request-state' })
+        }
+    }
+
+    /**
+     * Stops synchronizing and closes the transport.
+     */
+    destroy() {
+        for (const cleanup of this.#cleanups) cleanup()
+
+        this.#cleanups = []
+        this.opts.transport.close?.()
+    }
+
+    /**
+     * Sends a local write to the other peers.
+     *
+     * @param {WriteRecord} write - Local write
+     */
+    #handleLocal(write) {
+        if (this.#applying || !this.#isShared(write.path)) return
+
+        // Mutations travel as the resulting collection so every peer converges
+        const outgoing = write.type === 'method'
+            ? { type: 'update', path: write.path, value: write.value, timestamp: write.timestamp }
+            : write
+
+        const version = { time: write.timestamp, origin: this.opts.id, sequence: ++this.#sequence }
+
+        this.#setVersion(write.path, version)
+        this.#send({ type: 'write', write: outgoing, version })
+    }
+
+    /**
+     * Handles a message from another peer.
+     *
+     * @param {Object} message - Incoming message
+     */
+    #handleRemote(message) {
+        if (!message || message.origin === this.opts.id) return
+
+        if (message.type === 'write') {
+            this.#applyRemote(message.write, message.version)
+        } else if (message.type === 'request-state') {
+            this.#send({
+                type: 'state',
+                to: message.origin,
+                snapshot: this.#sharedSnapshot(),
+                versions: [...this.#versions]
+            })
+        } else if (message.type === 'state' && message.to === this.opts.id && !this.#synced) {
+            this.#synced = true
+            this.#apply(() => this.#context.restore(message.snapshot))
+
+            for (const [path, version] of message.versions) {
+                if (this.#isNewer(version, this.#versions.get(path))) {
+                    this.#versions.set(path, version)
+                }
+            }
+        }
+    }
+
+    /**
+     * Applies a remote write if the conflict policy accepts it.
+     *
+     * @param {WriteRecord} write - Remote write
+     * @param {SyncVersion} version - Version of the remote write
+     */
+    #applyRemote(write, version) {
+        if (!this.#isShared(write.path)) return
+
+        const local = this.#latestVersion(write.path)
+        const accepted = typeof this.opts.conflict === 'function'
+            ? this.opts.conflict(write, { local, remote: version }) !== false
+            : this.#isNewer(version, local)
+
+        if (!accepted) return
+
+        this.#setVersion(write.path, version)
+        this.#apply(() => this.#context.applyWrite(write))
+    }
+
+    /**
+     * Runs a function without sending the writes it makes back to the peers.
+     *
+     * @param {Function} fn - Function applying remote data
+     */
+    #apply(fn) {
+        this.#applying = true
+
+        try {
+            fn()
+        } catch (error) {
+            console.error('ReactiveSync: error applying remote state:', error)
+        } finally {
+            this.#applying = false
+        }
+    }
+
+    /**
+     * Records the version of a write. The write replaces everything below its
+     * path, so the versions of descendant paths are dropped.
+     *
+     * @param {string} path - Dotted path
+     * @param {SyncVersion} version - Version of the write
+     */
+    #setVersion(path, version) {
+        for (const other of this.#versions.keys()) {
+            if (other.startsWith(`${path}.`)) this.#versions.delete(other)
+        }
+
+        this.#versions.set(path, version)
+    }
+
+    /**
+     * Returns the newest local version of a path, any of its ancestors or any
+     * of its descendants: a write to the path would overwrite the latter.
+     *
+     * @param {string} path - Dotted path
+     * @returns {SyncVersion|undefined} Newest version, if any
+     */
+    #latestVersion(path) {
+        let latest
+
+        for (const [other, version] of this.#versions) {
+            const related = other === path || other.startsWith(`${path}.`) || path.startsWith(`${other}.`)
+
+            if (related && this.#isNewer(version, latest)) latest = version
+        }
+
+        return latest
+    }
+
+    /**
+     * Compares two versions by timestamp, breaking ties by peer identifier and
+     * then by the order of the writes of that peer.
+     *
+     * @param {SyncVersion} version - Candidate version
+     * @param {SyncVersion|undefined} other - Version to beat
+     * @returns {boolean} True if `version` is newer
+     */
+    #isNewer(version, other) {
+        if (!other) return true
+        if (version.time !== other.time) return version.time > other.time
+        if (version.origin !== other.origin) return version.origin > other.origin
+
+        return version.sequence > other.sequence
+    }
+
+    /**
+     * Whether a path belongs to a synchronized field.
+     *
+     * @param {string} path - Dotted path
+     * @returns {boolean} True if the path is synchronized
+     */
+    #isShared(path) {
+        return !this.opts.fields || this.opts.fields.includes(path.split('.')[0])
+    }
+
+    /**
+     * Returns a snapshot containing only the synchronized fields.
+     *
+     * @returns {Object} Snapshot
+     */
+    #sharedSnapshot() {
+        const snapshot = this.#context.snapshot()
+
+        for (const field_name of Object.keys(snapshot)) {
+            if (!this.#isShared(field_name)) delete snapshot[field_name]
+        }
+
+        return snapshot
+    }
+
+    /**
+     * Sends a message tagged with this peer's identifier.
+     *
+     * @param {Object} message - Message to send
+     */
+    #send(message) {
+        this.opts.transport.send({ ...message, origin: this.opts.id })
+    }
+}
+
+/**
+ * Transport over a BroadcastChannel: every tab, window or worker of the same
+ * origin using the same channel name is a peer.
+ *
+ * @example
+ * new ReactiveSync(ctx, { transport: new BroadcastChannelTransport('app-state') })
+ */
+export class BroadcastChannelTransport {
+    /**
+     * @param {string} name - Channel name
+     */
+    constructor(name) {
+        if (typeof BroadcastChannel === 'undefined') {
+            throw new Error('BroadcastChannelTransport: BroadcastChannel is not supported.')
+        }
+
+        this.channel = new BroadcastChannel(name)
+    }
+
+    /**
+     * @param {Object} message - Message to broadcast
+     */
+    send(message) {
+        this.channel.postMessage(message)
+    }
+
+    /**
+     * @param {Function} handler - Message handler
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(handler) {
+        const listener = (event) => handler(event.data)
+
+        this.channel.addEventListener('message', listener)
+
+        return () => this.channel.removeEventListener('message', listener)
+    }
+
+    close() {
+        this.channel.close()
+    }
+}
+
+/**
+ * Transport over anything with postMessage() and 'message' events: a
+ * MessagePort, a Worker, or `self` inside a worker.
+ *
+ * @example Main thread
+ * const worker = new Worker('./worker.js', { type: 'module' })
+ * new ReactiveSync(ctx, { transport: new MessagePortTransport(worker) })
+ *
+ * @example Inside the worker
+ * new ReactiveSync(ctx, { transport: new MessagePortTransport(self) })
+ */
+export class MessagePortTransport {
+    /**
+     * @param {MessagePort|Worker|DedicatedWorkerGlobalScope} port - Message endpoint
+     */
+    constructor(port) {
+        if (typeof port?.postMessage !== 'function' || typeof port?.addEventListener !== 'function') {
+            throw new Error('MessagePortTransport: a valid MessagePort or Worker is required.')
+        }
+
+        this.port = port
+    }
+
+    /**
+     * @param {Object} message - Message to post
+     */
+    send(message) {
+        this.port.postMessage(message)
+    }
+
+    /**
+     * @param {Function} handler - Message handler
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(handler) {
+        const listener = (event) => handler(event.data)
+
+        this.port.addEventListener('message', listener)
+
+        // MessagePorts only dispatch to addEventListener() handlers once started
+        this.port.start?.()
+
+        return () => this.port.removeEventListener('message', listener)
+    }
+
+    close() {
+        this.port.close?.()
+    }
+}
+
+/**
+ * In-memory transport for tests and single-page setups. Transports created
+ * with the same channel name behave like a BroadcastChannel: messages are
+ * cloned and delivered asynchronously to every other transport on the channel.
+ *
+ * @example
+ * const a = new ReactiveSync(first_ctx, { transport: new LoopbackTransport('test') })
+ * const b = new ReactiveSync(second_ctx, { transport: new LoopbackTransport('test') })
+ */
+export class LoopbackTransport {
+    static #channels = new Map()
+
+    #handlers = new Set()
+
+    /**
+     * @param {string} [name='default'] - Channel name
+     */
+    constructor(name = 'default') {
+        this.name = name
+
+        if (!LoopbackTransport.#channels.has(name)) {
+            LoopbackTransport.#channels.set(name, new Set())
+        }
+
+        LoopbackTransport.#channels.get(name).add(this)
+    }
+
+    /**
+     * @param {Object} message - Message to deliver to the other transports
+     */
+    send(message) {
+        for (const peer of LoopbackTransport.#channels.get(this.name) ?? []) {
+            if (peer === this) continue
+
+            const copy = cloneMessage(message)
+
+            queueMicrotask(() => {
+                for (const handler of peer.#handlers) handler(copy)
+            })
+        }
+    }
+
+    /**
+     * @param {Function} handler - Message handler
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(handler) {
+        this.#handlers.add(handler)
+
+        return () => this.#handlers.delete(handler)
+    }
+
+    close() {
+        const peers = LoopbackTransport.#channels.get(this.name)
+
+        peers?.delete(this)
+
+        if (peers?.size === 0) {
+            LoopbackTransport.#channels.delete(this.name)
+        }
+    }
+}
@@ -0,0 +1,141 @@
+import { isPlainObject } from './values.js'
+
+/**
+ * Schema rule for a reactive path. `min`/`max` bound numbers, or the length of
+ * strings and arrays.
+ *
+ * @typedef {Object} ValidationRule
+ * @property {'string'|'number'|'integer'|'boolean'|'array'|'object'} [type] - Expected type
+ * @property {Array} [enum] - Allowed values
+ * @property {number} [min] - Minimum value or length
+ * @property {number} [max] - Maximum value or length
+ * @property {RegExp} [pattern] - Pattern the value (as a string) must match
+ * @property {boolean} [required=false] - Reject null and undefined
+ * @property {Function} [validate] - Custom check returning false or a reason string to reject
+ */
+
+/**
+ * Checks a value against a schema rule.
+ *
+ * @param {ValidationRule} rule - Schema rule
+ * @param {*} value - Value to check
+ * @returns {true|string} True if valid, otherwise the reason it was rejected
+ */
+export const checkRule = (rule, value) => {
+    const types = {
+        string: v => typeof v === 'string',
+        number: v => typeof v === 'number' && !Number.isNaN(v),
+        integer: v => Number.isInteger(v),
+        boolean: v => typeof v === 'boolean',
+        array: v => Array.isArray(v),
+        object: v => v !== null && typeof v === 'object' && !Array.isArray(v)
+    }
+
+    if (value === null || value === undefined) {
+        return rule.required ? 'is required' : true
+    }
+
+    if (rule.type && !types[rule.type]?.(value)) return `must be of type ${rule.type}`
+    if (rule.enum && !rule.enum.includes(value)) return `must be one of: ${rule.enum.join(', ')}`
+
+    const size = typeof value === 'number' ? value : value.length
+
+    if (rule.min !== undefined && size < rule.min) return `must be at least ${rule.min}`
+    if (rule.max !== undefined && size > rule.max) return `must be at most ${rule.max}`
+    if (rule.pattern && !rule.pattern.test(String(value))) return `must match ${rule.pattern}`
+
+    if (rule.validate) {
+        const verdict = rule.validate(value)
+        if (verdict === false) return 'is invalid'
+        if (typeof verdict === 'string') return verdict
+    }
+
+    return true
+}
+
+/**
+ * Matches a written path against the start of a validator path, where `*`
+ * matches one segment and `**` any number of them.
+ *
+ * @param {string[]} pattern - Validator path segments
+ * @param {string[]} segments - Written path segments
+ * @returns {number[]} Positions in the pattern right after the written path, one per
+ *          way of matching it (empty if the validator can't apply to the write)
+ */
+export const matchPrefix = (pattern, segments) => {
+    // `**` can also match no segment at all
+    const expand = positions => positions.flatMap(i => (pattern[i] === '**' ? [i, ...expand([i + 1])] : [i]))
+
+    let positions = expand([0])
+
+    for (const segment of segments) {
+        positions = expand(positions.flatMap(i => {
+            if (pattern[i] === '**') return [i]
+            if (pattern[i] === '*' || pattern[i] === segment) return [i + 1]
+            return []
+        }))
+    }
+
+    return [...new Set(positions)]
+}
+
+/**
+ * Lists the children of a value that validator paths can address: array
+ * items, plain object properties and Map entries with string or number keys.
+ *
+ * @param {*} value - Raw value
+ * @returns {Array<[string, *]>} Key and value of each child
+ */
+const childEntries = (value) => {
+    if (Array.isArray(value) || isPlainObject(value)) return Object.entries(value)
+
+    if (value instanceof Map) {
+        return [...value].filter(([key]) => typeof key === 'string' || typeof key === 'number')
+    }
+
+    return []
+}
+
+/**
+ * Collects the values the rest of a validator path designates inside a
+ * value. Missing properties are collected as undefined, so `required` rules
+ * catch them; wildcards only expand over existing children.
+ *
+ * @param {string[]} pattern - Validator path segments
+ * @param {number} index - Position in the pattern matching the value
+ * @param {*} value - Value at `path`
+ * @param {string} path - Full dotted path of the value
+ * @param {Function} unwrap - Returns the raw object behind a reactive proxy
+ * @param {Map<string, *>} targets - Collected values, by path
+ * @param {Set<Object>} [seen] - Objects being walked, to stop at cycles
+ */
+export const collectTargets = (pattern, index, value, path, unwrap, targets, seen = new Set()) => {
+    if (index === pattern.length) {
+        targets.set(path, value)
+        return
+    }
+
+    const segment = pattern[index]
+    const object = value !== null && typeof value === 'object' ? unwrap(value) : null
+
+    if (segment !== '*' && segment !== '**') {
+        const child = object instanceof Map ? object.get(segment) : object?.[segment]
+
+        collectTargets(pattern, index + 1, child, `${path}.${segment}`, unwrap, targets, seen)
+        return
+    }
+
+    if (segment === '**') {
+        collectTargets(pattern, index + 1, value, path, unwrap, targets, seen)
+    }
+
+    if (!object || seen.has(object)) return
+
+    seen.add(object)
+
+    for (const [key, child] of childEntries(object)) {
+        collectTargets(pattern, segment === '*' ? index + 1 : index, child, `${path}.${key}`, unwrap, targets, seen)
+    }
+
+    seen.delete(object)
+}
@@ -0,0 +1,13 @@
+/**
+ * Checks whether a value is a plain object (created by `{}` or `Object.create(null)`).
+ *
+ * @param {*} value - Any value
+ * @returns {boolean} True for plain objects
+ */
+export const isPlainObject = (value) => {
+    if (value === null || typeof value !== 'object') return false
+
+    const prototype = Object.getPrototypeOf(value)
+
+    return prototype === Object.prototype || prototype === null
+}
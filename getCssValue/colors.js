@@ -0,0 +1,338 @@
+import { parseDimension } from './units.js'
+
+/**
+ * CSS named colors
+ * @constant {Object<string, string>}
+ */
+const NAMED_COLORS = {
+    aliceblue: 'f0f8ff', antiquewhite: 'faebd7', aqua: '00ffff', aquamarine: '7fffd4',
+    azure: 'f0ffff', beige: 'f5f5dc', bisque: 'ffe4c4', black: '000000',
+    blanchedalmond: 'ffebcd', blue: '0000ff', blueviolet: '8a2be2', brown: 'a52a2a',
+    burlywood: 'deb887', cadetblue: '5f9ea0', chartreuse: '7fff00', chocolate: 'd2691e',
+    coral: 'ff7f50', cornflowerblue: '6495ed', cornsilk: 'fff8dc', crimson: 'dc143c',
+    cyan: '00ffff', darkblue: '00008b', darkcyan: '008b8b', darkgoldenrod: 'b8860b',
+    darkgray: 'a9a9a9', darkgreen: '006400', darkgrey: 'a9a9a9', darkkhaki: 'bdb76b',
+    darkmagenta: '8b008b', darkolivegreen: '556b2f', darkorange: 'ff8c00', darkorchid: '9932cc',
+    darkred: '8b0000', darksalmon: 'e9967a', darkseagreen: '8fbc8f', darkslateblue: '483d8b',
+    darkslategray: '2f4f4f', darkslategrey: '2f4f4f', darkturquoise: '00ced1', darkviolet: '9400d3',
+    deeppink: 'ff1493', deepskyblue: '00bfff', dimgray: '696969', dimgrey: '696969',
+    dodgerblue: '1e90ff', firebrick: 'b22222', floralwhite: 'fffaf0', forestgreen: '228b22',
+    fuchsia: 'ff00ff', gainsboro: 'dcdcdc', ghostwhite: 'f8f8ff', gold: 'ffd700',
+    goldenrod: 'daa520', gray: '808080', green: '008000', greenyellow: 'adff2f',
+    grey: '808080', honeydew: 'f0fff0', hotpink: 'ff69b4', indianred: 'cd5c5c',
+    indigo: '4b0082', ivory: 'fffff0', khaki: 'f0e68c', lavender: 'e6e6fa',
+    lavenderblush: 'fff0f5', lawngreen: '7cfc00', lemonchiffon: 'fffacd', lightblue: 'add8e6',
+    lightcoral: 'f08080', lightcyan: 'e0ffff', lightgoldenrodyellow: 'fafad2', lightgray: 'd3d3d3',
+    lightgreen: '90ee90', lightgrey: 'd3d3d3', lightpink: 'ffb6c1', lightsalmon: 'ffa07a',
+    lightseagreen: '20b2aa', lightskyblue: '87cefa', lightslategray: '778899', lightslategrey: '778899',
+    lightsteelblue: 'b0c4de', lightyellow: 'ffffe0', lime: '00ff00', limegreen: '32cd32',
+    linen: 'faf0e6', magenta: 'ff00ff', maroon: '800000', mediumaquamarine: '66cdaa',
+    mediumblue: '0000cd', mediumorchid: 'ba55d3', mediumpurple: '9370db', mediumseagreen: '3cb371',
+    mediumslateblue: '7b68ee', mediumspringgreen: '00fa9a', mediumturquoise: '48d1cc', mediumvioletred: 'c71585',
+    midnightblue: '191970', mintcream: 'f5fffa', mistyrose: 'ffe4e1', moccasin: 'ffe4b5',
+    navajowhite: 'ffdead', navy: '000080', oldlace: 'fdf5e6', olive: '808000',
+    olivedrab: '6b8e23', orange: 'ffa500', orangered: 'ff4500', orchid: 'da70d6',
+    palegoldenrod: 'eee8aa', palegreen: '98fb98', paleturquoise: 'afeeee', palevioletred: 'db7093',
+    papayawhip: 'ffefd5', peachpuff: 'ffdab9', peru: 'cd853f', pink: 'ffc0cb',
+    plum: 'dda0dd', powderblue: 'b0e0e6', purple: '800080', rebeccapurple: '663399',
+    red: 'ff0000', rosybrown: 'bc8f8f', royalblue: '4169e1', saddlebrown: '8b4513',
+    salmon: 'fa8072', sandybrown: 'f4a460', seagreen: '2e8b57', seashell: 'fff5ee',
+    sienna: 'a0522d', silver: 'c0c0c0', skyblue: '87ceeb', slateblue: '6a5acd',
+    slategray: '708090', slategrey: '708090', snow: 'fffafa', springgreen: '00ff7f',
+    steelblue: '4682b4', tan: 'd2b48c', teal: '008080', thistle: 'd8bfd8',
+    tomato: 'ff6347', turquoise: '40e0d0', violet: 'ee82ee', wheat: 'f5deb3',
+    white: 'ffffff', whitesmoke: 'f5f5f5', yellow: 'ffff00', yellowgreen: '9acd32'
+}
+
+/**
+ * Named color of every hex value. Aliases resolve to the first name
+ * (`aqua` rather than `cyan`, `gray` rather than `grey`).
+ * @constant {Map<string, string>}
+ */
+const COLOR_NAMES = new Map()
+
+for (const [name, hex] of Object.entries(NAMED_COLORS)) {
+    if (!COLOR_NAMES.has(hex)) COLOR_NAMES.set(hex, name)
+}
+
+/**
+ * Hex colors: #rgb, #rgba, #rrggbb and #rrggbbaa
+ * @constant {RegExp}
+ */
+const HEX = /^#([\da-f]{3,4}|[\da-f]{6}|[\da-f]{8})$/i
+
+/**
+ * Color functions and their arguments
+ * @constant {RegExp}
+ */
+const COLOR_FUNCTION = /^(rgba?|hsla?)\(\s*(.*?)\s*\)$/is
+
+/**
+ * Degrees per unit of the hue angle
+ * @constant {Object<string, number>}
+ */
+const HUE_UNITS = {
+    '': 1,
+    deg: 1,
+    grad: 0.9,
+    rad: 180 / Math.PI,
+    turn: 360
+}
+
+/**
+ * Limits a number to a range.
+ *
+ * @param {number} value - Number
+ * @param {number} min - Minimum
+ * @param {number} max - Maximum
+ * @returns {number} Clamped number
+ */
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value))
+
+/**
+ * Builds a normalized color: integer channels from 0 to 255, alpha from 0 to 1.
+ *
+ * @param {number} r - Red
+ * @param {number} g - Green
+ * @param {number} b - Blue
+ * @param {number} [a=1] - Alpha
+ * @returns {{r: number, g: number, b: number, a: number}} Color
+ */
+const toColor = (r, g, b, a = 1) => {
+    const [red, green, blue] = [r, g, b].map(channel => Math.round(clamp(channel, 0, 255)))
+
+    return { r: red, g: green, b: blue, a: clamp(a, 0, 1) }
+}
+
+/**
+ * Splits the arguments of a color function, in the legacy (`1, 2, 3, 0.5`)
+ * or modern (`1 2 3 / 50%`) syntax.
+ *
+ * @param {string} text - Arguments
+ * @returns {Array<{value: number, unit: string}>|null} Three channels and an optional
+ *          alpha, or null if they're malformed. `none` is read as zero
+ */
+const parseArguments = (text) => {
+    let parts
+
+    if (text.includes(',')) {
+        parts = text.split(',').map(part => part.trim())
+        if (parts.length < 3 || parts.length > 4) return null
+    } else {
+        const [channels, alpha, ...rest] = text.split('/')
+        if (rest.length) return null
+
+        parts = channels.trim().split(/\s+/)
+        if (parts.length !== 3) return null
+
+        if (alpha !== undefined) parts.push(alpha.trim())
+    }
+
+    const values = parts.map(part => part.toLowerCase() === 'none' ? { value: 0, unit: '' } : parseDimension(part))
+
+    return values.includes(null) ? null : values
+}
+
+/**
+ * Reads an alpha value: a number from 0 to 1 or a percentage.
+ *
+ * @param {{value: number, unit: string}} [alpha] - Alpha argument
+ * @returns {number|null} Alpha, or null if the unit is invalid
+ */
+const parseAlpha = (alpha = { value: 1, unit: '' }) => {
+    if (alpha.unit === '') return alpha.value
+    if (alpha.unit === '%') return alpha.value / 100
+
+    return null
+}
+
+/**
+ * Converts HSL to RGB.
+ *
+ * @param {number} h - Hue, in degrees
+ * @param {number} s - Saturation, from 0 to 1
+ * @param {number} l - Lightness, from 0 to 1
+ * @returns {number[]} Red, green and blue, from 0 to 255
+ */
+const hslToRgb = (h, s, l) => {
+    const hue = ((h % 360) + 360) % 360
+    const amount = s * Math.min(l, 1 - l)
+    const channel = (n) => {
+        const k = (n + hue / 30) % 12
+
+        return (l - amount * clamp(Math.min(k - 3, 9 - k), -1, 1)) * 255
+    }
+
+    return [channel(0), channel(8), channel(4)]
+}
+
+/**
+ * Converts RGB to HSL.
+ *
+ * @param {{r: number, g: number, b: number}} color - Color
+ * @returns {number[]} Hue in degrees, and saturation and lightness from 0 to 100
+ */
+const rgbToHsl = ({ r, g, b }) => {
+    const [red, green, blue] = [r / 255, g / 255, b / 255]
+    const max = Math.max(red, green, blue)
+    const min = Math.min(red, green, blue)
+    const delta = max - min
+    const l = (max + min) / 2
+    const s = delta === 0 ? 0 : delta / (1 - Math.abs(2 * l - 1))
+    let h = 0
+
+    if (delta !== 0) {
+        if (max === red) h = 60 * (((green - blue) / delta) % 6)
+        else if (max === green) h = 60 * ((blue - red) / delta + 2)
+        else h = 60 * ((red - green) / delta + 4)
+    }
+
+    return [(h + 360) % 360, s * 100, l * 100]
+}
+
+/**
+ * Parses the arguments of `rgb()` or `rgba()`.
+ *
+ * @param {Array<{value: number, unit: string}>} args - Arguments
+ * @returns {Object|null} Color, or null if an argument is invalid
+ */
+const parseRgb = ([red, green, blue, alpha]) => {
+    const channels = [red, green, blue].map(({ value, unit }) => {
+        if (unit === '') return value
+        if (unit === '%') return value * 255 / 100
+
+        return null
+    })
+    const a = parseAlpha(alpha)
+
+    return channels.includes(null) || a === null ? null : toColor(...channels, a)
+}
+
+/**
+ * Parses the arguments of `hsl()` or `hsla()`.
+ *
+ * @param {Array<{value: number, unit: string}>} args - Arguments
+ * @returns {Object|null} Color, or null if an argument is invalid
+ */
+const parseHsl = ([hue, saturation, lightness, alpha]) => {
+    if (!(hue.unit in HUE_UNITS)) return null
+
+    // Saturation and lightness are percentages, also accepted as bare numbers
+    const [s, l] = [saturation, lightness].map(({ value, unit }) => unit === '' || unit === '%' ? clamp(value, 0, 100) / 100 : null)
+    const a = parseAlpha(alpha)
+
+    if (s === null || l === null || a === null) return null
+
+    return toColor(...hslToRgb(hue.value * HUE_UNITS[hue.unit], s, l), a)
+}
+
+/**
+ * Parses a CSS color into its red, green, blue and alpha components.
+ *
+ * Supports hex colors (`#f00`, `#f008`, `#ff0000`, `#ff000080`), `rgb()`,
+ * `rgba()`, `hsl()` and `hsla()` in the legacy comma-separated and the modern
+ * space-separated syntax (`rgb(255 0 0 / 50%)`), `transparent` and the named
+ * colors.
+ *
+ * @param {string} text - CSS color
+ * @returns {{r: number, g: number, b: number, a: number}|null} Channels from 0 to 255 and
+ *          alpha from 0 to 1, or null if the text isn't a color this parser understands
+ *          (like `currentColor` or `var(--accent)`)
+ *
+ * @example
+ * parseCssColor('#3498db')                  // { r: 52, g: 152, b: 219, a: 1 }
+ * parseCssColor('hsl(120deg 100% 25% / .5)') // { r: 0, g: 128, b: 0, a: 0.5 }
+ */
+export const parseCssColor = (text) => {
+    if (typeof text !== 'string') return null
+
+    const color = text.trim()
+    const name = color.toLowerCase()
+
+    if (name === 'transparent') return toColor(0, 0, 0, 0)
+    if (Object.hasOwn(NAMED_COLORS, name)) return parseCssColor(`#${NAMED_COLORS[name]}`)
+
+    const hex = HEX.exec(color)
+
+    if (hex) {
+        const digits = hex[1].length <= 4 ? [...hex[1]].map(digit => digit + digit) : hex[1].match(/../g)
+        const [r, g, b, a = 255] = digits.map(pair => parseInt(pair, 16))
+
+        return toColor(r, g, b, a / 255)
+    }
+
+    const call = COLOR_FUNCTION.exec(color)
+    const args = call && parseArguments(call[2])
+
+    if (!args) return null
+
+    return call[1].toLowerCase().startsWith('rgb') ? parseRgb(args) : parseHsl(args)
+}
+
+/**
+ * Rounds a number to a few decimals for output.
+ *
+ * @param {number} value - Number
+ * @param {number} [decimals=3] - Decimals to keep
+ * @returns {number} Rounded number
+ */
+const round = (value, decimals = 3) => {
+    const factor = 10 ** decimals
+
+    return Math.round(value * factor) / factor
+}
+
+/**
+ * Serializers of every output format
+ * @constant {Object<string, Function>}
+ */
+const COLOR_FORMATS = {
+    hex: ({ r, g, b, a }) => {
+        const channels = a < 1 ? [r, g, b, Math.round(a * 255)] : [r, g, b]
+
+        return `#${channels.map(channel => channel.toString(16).padStart(2, '0')).join('')}`
+    },
+    rgb: ({ r, g, b, a }) => {
+        return a < 1 ? `rgba(${r}, ${g}, ${b}, ${round(a)})` : `rgb(${r}, ${g}, ${b})`
+    },
+    hsl: (color) => {
+        const [h, s, l] = rgbToHsl(color).map(value => round(value, 1))
+
+        return color.a < 1 ? `hsla(${h}, ${s}%, ${l}%, ${round(color.a)})` : `hsl(${h}, ${s}%, ${l}%)`
+    },
+    name: ({ r, g, b, a }) => {
+        if (a === 0) return 'transparent'
+        if (a < 1) return null
+
+        return COLOR_NAMES.get(COLOR_FORMATS.hex({ r, g, b, a }).slice(1)) ?? null
+    }
+}
+
+/**
+ * Converts a color to another CSS notation.
+ *
+ * @param {string|{r: number, g: number, b: number, a?: number}} color - CSS color, or
+ *        a color from parseCssColor()
+ * @param {string} [format='hex'] - 'hex', 'rgb', 'hsl' or 'name'
+ * @returns {string|null} Color in the format (`#rrggbb[aa]`, `rgb[a](...)`, `hsl[a](...)`),
+ *          or null for 'name' when no named color matches exactly
+ * @throws {TypeError} If the color can't be parsed or the format is unknown
+ *
+ * @example
+ * convertCssColor('rgb(255 0 0 / 50%)')      // "#ff000080"
+ * convertCssColor('#ffa500', 'name')         // "orange"
+ * convertCssColor('tomato', 'hsl')           // "hsl(9.1, 100%, 63.9%)"
+ */
+export const convertCssColor = (color, format = 'hex') => {
+    const parsed = typeof color === 'string' ? parseCssColor(color) : color
+
+    if (typeof parsed?.r !== 'number' || typeof parsed.g !== 'number' || typeof parsed.b !== 'number') {
+        throw new TypeError(`Invalid CSS color: ${JSON.stringify(color)}`)
+    }
+
+    if (!Object.hasOwn(COLOR_FORMATS, format)) {
+        throw new TypeError(`Unknown color format '${format}', expected one of: ${Object.keys(COLOR_FORMATS).join(', ')}`)
+    }
+
+    return COLOR_FORMATS[format](toColor(parsed.r, parsed.g, parsed.b, parsed.a ?? 1))
+}
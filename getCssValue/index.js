@@ -1,12 +1,51 @@
-export const getCssValue = (css, property) => {
-        const regex = new RegExp(`${property}\\s*:\\s*([^;]+)`, 'i')
+import { parseCssDeclarations, findDeclaration } from './parser.js'
+import { parseDimension } from './units.js'
+import { parseCssColor } from './colors.js'
 
-        const match = css.match(regex)
-        if (!match) return null
+export { parseCssDeclarations } from './parser.js'
+export { convertCssUnit } from './units.js'
+export { parseCssColor, convertCssColor } from './colors.js'
 
-        const num = Number(match[1].trim())
+/**
+ * Reads the value of a property from CSS declarations, like an inline style.
+ *
+ * When a property is declared more than once, the declaration that wins the
+ * cascade is used: the last `!important` one, or else the last one. Property
+ * names are case-insensitive, except for custom properties (`--name`).
+ *
+ * @param {string} css - CSS declarations
+ * @param {string} property - Property name (e.g. 'width', '--gap')
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.typed=false] - Return numbers, percentages, lengths, angles
+ *        and times as `{ value, unit }` objects
+ * @param {boolean} [options.color=false] - Return colors as `{ r, g, b, a }` objects
+ * @returns {number|string|Object|null} The value as a number if it's numeric, else as a
+ *          string (without `!important`), or null if the property isn't declared. In typed
+ *          mode, single numbers and dimensions are returned as `{ value, unit }`, with a
+ *          lowercased unit ('' for numbers, '%' for percentages). In color mode, colors are
+ *          returned as `{ r, g, b, a }` (see parseCssColor())
+ * @throws {TypeError} If css is not a string
+ *
+ * @example
+ * getCssValue('opacity: 0.8; max-width: 50%; width: 10px; width: 20px', 'width')  // "20px"
+ * getCssValue('opacity: 0.8', 'opacity')                                          // 0.8
+ * getCssValue('width: 1.5rem', 'width', { typed: true })                         // { value: 1.5, unit: 'rem' }
+ * getCssValue('color: #ff000080', 'color', { color: true })                      // { r: 255, g: 0, b: 0, a: 0.50196... }
+ */
+export const getCssValue = (css, property, options = {}) => {
+    const declaration = findDeclaration(parseCssDeclarations(css), property)
+    if (!declaration) return null
 
-        if (!isNaN(num)) return num
+    const { value } = declaration
 
-        return match[1].trim()
-    }
\ No newline at end of file
+    if (options.color) {
+        const color = parseCssColor(value)
+        if (color) return color
+    }
+
+    if (options.typed) return parseDimension(value) ?? value
+
+    const number = Number(value)
+
+    return value !== '' && !isNaN(number) ? number : value
+}
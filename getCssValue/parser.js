@@ -0,0 +1,214 @@
+/**
+ * Valid property names: identifiers and custom properties
+ * @constant {RegExp}
+ */
+const PROPERTY = /^(?:--|-?[a-z_\u00a0-\uffff])[\w\u00a0-\uffff-]*$/i
+
+/**
+ * Trailing `!important` flag of a value
+ * @constant {RegExp}
+ */
+const IMPORTANT = /!\s*important$/i
+
+/**
+ * Opening of a `url(` token, matched at the current position
+ * @constant {RegExp}
+ */
+const URL_START = /url\(\s*/iy
+
+/**
+ * Normalizes a property name: standard properties are case-insensitive,
+ * custom properties (`--name`) are not.
+ *
+ * @param {string} property - Property name
+ * @returns {string} Normalized name
+ */
+export const normalizeProperty = (property) => {
+    const name = property.trim()
+
+    return name.startsWith('--') ? name : name.toLowerCase()
+}
+
+/**
+ * Finds where a quoted string ends, skipping escaped characters. Unclosed
+ * strings end with the input, as in CSS.
+ *
+ * @param {string} css - CSS text
+ * @param {number} start - Index of the opening quote
+ * @returns {number} Index after the closing quote
+ */
+const stringEnd = (css, start) => {
+    const quote = css[start]
+
+    for (let i = start + 1; i < css.length; i++) {
+        if (css[i] === '\\') i++
+        else if (css[i] === quote) return i + 1
+    }
+
+    return css.length
+}
+
+/**
+ * Finds where an unquoted `url(...)` ends. Its content is taken verbatim, so
+ * it can hold `;`, `//` or `/*`.
+ *
+ * @param {string} css - CSS text
+ * @param {number} start - Index of the first character of the URL
+ * @returns {number} Index after the closing parenthesis
+ */
+const urlEnd = (css, start) => {
+    for (let i = start; i < css.length; i++) {
+        if (css[i] === '\\') i++
+        else if (css[i] === ')') return i + 1
+    }
+
+    return css.length
+}
+
+/**
+ * Splits a declaration into its property, value and importance.
+ *
+ * @param {string} text - Declaration text, without comments
+ * @returns {{property: string, value: string, important: boolean}|null} Declaration,
+ *          or null if it's malformed
+ */
+const parseDeclaration = (text) => {
+    const colon = text.indexOf(':')
+    if (colon === -1) return null
+
+    const name = text.slice(0, colon).trim()
+    if (!PROPERTY.test(name)) return null
+
+    const property = normalizeProperty(name)
+    let value = text.slice(colon + 1).trim()
+
+    const important = IMPORTANT.exec(value)
+    if (important) value = value.slice(0, important.index).trim()
+
+    // Only custom properties can be empty
+    if (value === '' && !property.startsWith('--')) return null
+
+    return { property, value, important: Boolean(important) }
+}
+
+/**
+ * Parses every declaration of a CSS declaration block, like an inline style.
+ *
+ * The text is tokenized the way browsers do: comments are dropped, and `;`
+ * inside strings, `url(...)`, parentheses and brackets doesn't end a
+ * declaration. Malformed declarations are skipped. Rules are flattened, so
+ * the declarations of `.a { ... } .b { ... }` are all returned and selectors
+ * and at-rule preludes are ignored.
+ *
+ * @param {string} css - CSS declarations
+ * @returns {Array<{property: string, value: string, important: boolean, order: number}>}
+ *          Declarations in source order. `property` is lowercased (except for
+ *          custom properties), `value` is trimmed and excludes `!important`, and
+ *          `order` is the position of the declaration among the valid ones
+ * @throws {TypeError} If css is not a string
+ *
+ * @example
+ * parseCssDeclarations('color: red; background: url(a;b.png) !important')
+ * // [
+ * //   { property: 'color', value: 'red', important: false, order: 0 },
+ * //   { property: 'background', value: 'url(a;b.png)', important: true, order: 1 }
+ * // ]
+ */
+export const parseCssDeclarations = (css) => {
+    if (typeof css !== 'string') {
+        throw new TypeError(`CSS must be a string, got ${typeof css}`)
+    }
+
+    const declarations = []
+    let segment = ''
+    let depth = 0
+    let i = 0
+
+    const flush = (prelude) => {
+        const declaration = prelude ? null : parseDeclaration(segment)
+
+        if (declaration) declarations.push({ ...declaration, order: declarations.length })
+
+        segment = ''
+        depth = 0
+    }
+
+    while (i < css.length) {
+        const char = css[i]
+
+        if (char === '/' && css[i + 1] === '*') {
+            const end = css.indexOf('*/', i + 2)
+            i = end === -1 ? css.length : end + 2
+
+            // A comment separates tokens, like whitespace
+            if (/\S$/.test(segment) && /\S/.test(css[i] ?? '')) segment += ' '
+            continue
+        }
+
+        if (char === '"' || char === "'") {
+            const end = stringEnd(css, i)
+            segment += css.slice(i, end)
+            i = end
+            continue
+        }
+
+        if (char === '\\') {
+            segment += css.slice(i, i + 2)
+            i += 2
+            continue
+        }
+
+        URL_START.lastIndex = i
+        if ((char === 'u' || char === 'U') && !/[\w-]/.test(css[i - 1] ?? '') && URL_START.test(css)) {
+            const start = URL_START.lastIndex
+
+            // Quoted URLs are regular functions
+            if (css[start] !== '"' && css[start] !== "'") {
+                const end = urlEnd(css, start)
+                segment += css.slice(i, end)
+                i = end
+                continue
+            }
+        }
+
+        if (char === '(' || char === '[') {
+            depth++
+        } else if ((char === ')' || char === ']') && depth > 0) {
+            depth--
+        } else if (depth === 0 && (char === ';' || char === '{' || char === '}')) {
+            // The text before `{` is a selector or an at-rule prelude
+            flush(char === '{')
+            i++
+            continue
+        }
+
+        segment += char
+        i++
+    }
+
+    flush(false)
+
+    return declarations
+}
+
+/**
+ * Finds the declaration of a property that wins the cascade: the last
+ * `!important` one, or the last one if none is important.
+ *
+ * @param {Array<Object>} declarations - Declarations from parseCssDeclarations()
+ * @param {string} property - Property name
+ * @returns {Object|null} Winning declaration, or null if the property isn't declared
+ */
+export const findDeclaration = (declarations, property) => {
+    const name = normalizeProperty(property)
+    let winner = null
+
+    for (const declaration of declarations) {
+        if (declaration.property !== name) continue
+        if (winner?.important && !declaration.important) continue
+
+        winner = declaration
+    }
+
+    return winner
+}
@@ -0,0 +1,145 @@
+/**
+ * A number, a percentage or a dimension: number and unit
+ * @constant {RegExp}
+ */
+const DIMENSION = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(%|[a-z]*)$/i
+
+/**
+ * Kind of every supported unit
+ * @constant {Object<string, string>}
+ */
+const UNITS = {
+    '': 'number',
+    '%': 'percentage',
+    ...Object.fromEntries([
+        'px', 'em', 'rem', 'ex', 'ch', 'lh', 'rlh', 'vw', 'vh', 'vmin', 'vmax',
+        'svw', 'svh', 'lvw', 'lvh', 'dvw', 'dvh', 'cm', 'mm', 'q', 'in', 'pt', 'pc'
+    ].map(unit => [unit, 'length'])),
+    deg: 'angle',
+    grad: 'angle',
+    rad: 'angle',
+    turn: 'angle',
+    s: 'time',
+    ms: 'time'
+}
+
+/**
+ * Pixels per unit of the absolute lengths (1in = 96px)
+ * @constant {Object<string, number>}
+ */
+const ABSOLUTE = {
+    px: 1,
+    in: 96,
+    pt: 96 / 72,
+    pc: 16,
+    cm: 96 / 2.54,
+    mm: 96 / 25.4,
+    q: 96 / 101.6
+}
+
+/**
+ * Parses a CSS number, percentage or dimension with a supported unit.
+ *
+ * @param {string} text - CSS value (e.g. '1.5rem', '50%', '0.8')
+ * @returns {{value: number, unit: string}|null} Number and lowercased unit ('' for
+ *          plain numbers), or null if the text isn't a single supported dimension
+ */
+export const parseDimension = (text) => {
+    const match = DIMENSION.exec(text.trim())
+    if (!match) return null
+
+    const unit = match[2].toLowerCase()
+    if (!(unit in UNITS)) return null
+
+    return { value: Number(match[1]), unit }
+}
+
+/**
+ * Reads a number the conversion needs from the context.
+ *
+ * @param {Object} context - Conversion context
+ * @param {string} field - Field name
+ * @param {string} unit - Unit being converted, for the error message
+ * @returns {number} Field value
+ * @throws {TypeError} If the field is missing or not a finite number
+ */
+const need = (context, field, unit) => {
+    const value = context[field]
+
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new TypeError(`Converting '${unit}' to px needs a numeric '${field}' in the context`)
+    }
+
+    return value
+}
+
+/**
+ * Converts a CSS length or percentage to pixels.
+ *
+ * Relative units are resolved from the context. The viewport size defaults to
+ * the window's when there is one.
+ *
+ * @param {string|number|{value: number, unit: string}} value - CSS value (e.g. '1.5rem'),
+ *        a typed value from getCssValue(), or a number of pixels
+ * @param {Object} [context] - Sizes relative units depend on, in pixels
+ * @param {number} [context.rootFontSize=16] - Root font size, for `rem`
+ * @param {number} [context.fontSize=rootFontSize] - Font size of the element, for `em`
+ * @param {number} [context.parentSize] - Size percentages are relative to, for `%`
+ * @param {number} [context.viewportWidth=window.innerWidth] - For `vw`, `vmin` and `vmax`
+ * @param {number} [context.viewportHeight=window.innerHeight] - For `vh`, `vmin` and `vmax`
+ * @returns {number} Size in pixels
+ * @throws {TypeError} If the value isn't a length, uses an unsupported unit, or the
+ *         context lacks a size it depends on
+ *
+ * @example
+ * convertCssUnit('1.5rem')                          // 24
+ * convertCssUnit('12pt')                            // 16
+ * convertCssUnit('50%', { parentSize: 300 })        // 150
+ * convertCssUnit({ value: 2, unit: 'em' }, { fontSize: 20 })  // 40
+ */
+export const convertCssUnit = (value, context = {}) => {
+    if (typeof value === 'number') return value
+
+    const dimension = typeof value === 'string' ? parseDimension(value) : value
+
+    if (typeof dimension?.value !== 'number' || typeof dimension.unit !== 'string') {
+        throw new TypeError(`Invalid CSS dimension: ${JSON.stringify(value)}`)
+    }
+
+    const amount = dimension.value
+    const unit = dimension.unit.toLowerCase()
+
+    if (unit in ABSOLUTE) return amount * ABSOLUTE[unit]
+
+    const {
+        rootFontSize = 16,
+        fontSize = rootFontSize,
+        parentSize,
+        viewportWidth = globalThis.innerWidth,
+        viewportHeight = globalThis.innerHeight
+    } = context
+    const sizes = { rootFontSize, fontSize, parentSize, viewportWidth, viewportHeight }
+
+    switch (unit) {
+        case '':
+            // Only zero lengths can be unitless
+            if (amount === 0) return 0
+            throw new TypeError(`Can't convert the unitless number ${amount} to px`)
+        case 'rem':
+            return amount * need(sizes, 'rootFontSize', unit)
+        case 'em':
+            return amount * need(sizes, 'fontSize', unit)
+        case '%':
+            return amount / 100 * need(sizes, 'parentSize', unit)
+        case 'vw':
+            return amount / 100 * need(sizes, 'viewportWidth', unit)
+        case 'vh':
+            return amount / 100 * need(sizes, 'viewportHeight', unit)
+        case 'vmin':
+            return amount / 100 * Math.min(need(sizes, 'viewportWidth', unit), need(sizes, 'viewportHeight', unit))
+        case 'vmax':
+            return amount / 100 * Math.max(need(sizes, 'viewportWidth', unit), need(sizes, 'viewportHeight', unit))
+        default:
+            throw new TypeError(`Can't convert '${unit}' to px`)
+    }
+}
@@ -6,16 +6,46 @@
  */
 
 // Export ReactiveContext
-export { ReactiveContext } from './ReactiveContext/index.js'
+export {
+    ReactiveContext,
+    LocalStorageAdapter,
+    MemoryStorageAdapter,
+    ReactiveSync,
+    BroadcastChannelTransport,
+    MessagePortTransport,
+    LoopbackTransport,
+    bindDom
+} from './ReactiveContext/index.js'
 
 // Export DragToScrollOnPc
 export { default as DragToScrollOnPc } from './DragToScrollOnPc/index.js'
 
 // Export getCssValue
-export { getCssValue } from './getCssValue/index.js'
+export {
+    getCssValue,
+    parseCssDeclarations,
+    convertCssUnit,
+    parseCssColor,
+    convertCssColor
+} from './getCssValue/index.js'
 
 // Export replacer
-export { replacer } from './replacer/index.js'
+export {
+    replacer,
+    replacerAsync,
+    replacerStream,
+    toReadableStream,
+    TemplateError,
+    compile,
+    hydrate,
+    mount,
+    registerPartial,
+    unregisterPartial,
+    registerHelper,
+    unregisterHelper,
+    raw,
+    escapeHtml
+} from './replacer/index.js'
 
 // Export TriggerSpring
 export { default as TriggerSpring } from './TriggerSpring/index.js'
\ No newline at end of file
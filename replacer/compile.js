@@ -0,0 +1,687 @@
+import { parse, splitPipeline, DEFAULT_DELIMITERS } from './parser.js'
+import { escapeHtml, RawHtml } from './escape.js'
+import { TemplateError, aggregateErrors } from './errors.js'
+import { parseExpression, evaluateExpression } from './sandbox.js'
+import { resolvePartial } from './partials.js'
+import { resolveHelpers } from './helpers.js'
+import { isThenable, settle, joinParts, streamParts } from './stream.js'
+import { toSource, toFunctionSource, verbatim } from './source.js'
+
+/**
+ * Version of the precompiled template format written by toModule()
+ * @constant {number}
+ */
+const FORMAT_VERSION = 1
+
+/**
+ * Render context of a top-level template: no enclosing partial and no slots
+ * @constant {Object}
+ */
+const ROOT_CONTEXT = { depth: 0, partial: null, slots: new Map() }
+
+/**
+ * Normalizes the options of replacer(), compile() and hydrate().
+ *
+ * Each normalized options object owns the caches of compiled evaluators,
+ * pipelines and parsed partials, so placeholders inside loops are only
+ * compiled once. `functions` holds the evaluators of a precompiled template. `helpers` holds the helpers of the call; the available ones
+ * are resolved on each render.
+ *
+ * @param {Object} options - Options as passed by the caller
+ * @returns {Object} Normalized render options
+ */
+const normalizeOptions = (options) => {
+    const {
+        escape = true,
+        sandbox = false,
+        helpers = {},
+        partials = {},
+        maxDepth = 32,
+        strict = false,
+        onError = null,
+        delimiters = DEFAULT_DELIMITERS
+    } = options
+
+    if (onError !== null && typeof onError !== 'function') {
+        throw new TypeError('onError must be a function')
+    }
+
+    return {
+        escape: typeof escape === 'function' ? escape : (escape ? escapeHtml : String),
+        serializable: {
+            escape: typeof escape === 'function' ? true : Boolean(escape),
+            sandbox: Boolean(sandbox),
+            partials: Object.fromEntries(Object.entries(partials).filter(([, partial]) => typeof partial === 'string')),
+            maxDepth,
+            strict: Boolean(strict),
+            delimiters
+        },
+        sandbox: Boolean(sandbox),
+        helpers,
+        partials,
+        maxDepth,
+        strict: Boolean(strict),
+        onError,
+        delimiters,
+        cache: new Map(),
+        functions: new Map(),
+        pipelineCache: new Map(),
+        partialCache: new Map()
+    }
+}
+
+/**
+ * Parses a sandboxed expression, reusing earlier results. Parse errors are
+ * cached too, so invalid placeholders fail fast on every render.
+ *
+ * @param {string} code - Trimmed placeholder code
+ * @param {Object} options - Normalized render options
+ * @returns {Object} Expression tree
+ * @throws {SyntaxError} If the expression is invalid
+ */
+const compileExpression = (code, options) => {
+    if (!options.cache.has(code)) {
+        try {
+            options.cache.set(code, parseExpression(code))
+        } catch (err) {
+            options.cache.set(code, err)
+        }
+    }
+
+    const compiled = options.cache.get(code)
+
+    if (compiled instanceof Error) throw compiled
+
+    return compiled
+}
+
+/**
+ * Compiles placeholder code into a function taking the scope values as
+ * arguments. Functions are cached per code and set of variable names.
+ *
+ * Code without `;` or a leading `return` is an expression; anything else runs
+ * as a strict-mode function body.
+ *
+ * @param {string} code - Trimmed placeholder code
+ * @param {Array<string>} names - Variable names, in argument order
+ * @param {Object} options - Normalized render options
+ * @returns {Function} Compiled function
+ * @throws {SyntaxError} If the code can't be compiled
+ */
+const compileFunction = (code, names, options) => {
+    const key = `${names.join('\n')}\n\n${code}`
+
+    if (!options.cache.has(key)) {
+        const isExpression = !code.includes(';') && !code.startsWith('return')
+        const body = isExpression ? `return (${code});` : `"use strict";\n${code}`
+
+        try {
+            options.cache.set(key, new Function(...names, body))
+        } catch (err) {
+            options.cache.set(key, err)
+        }
+    }
+
+    const compiled = options.cache.get(key)
+
+    if (compiled instanceof Error) throw compiled
+
+    return compiled
+}
+
+/**
+ * Evaluates code against a scope, either as JavaScript or, in sandbox mode,
+ * with the built-in interpreter (no `new Function`). Precompiled functions
+ * read their variables from the scope, falling back to globals, and leave
+ * the names found in neither undeclared.
+ *
+ * @param {string} code - Trimmed code
+ * @param {Object} scope - Variables available to the code
+ * @param {Object} options - Render options, with the available helpers
+ * @returns {*} Evaluation result
+ * @throws {Error} If the code can't be compiled or throws
+ */
+const evaluateCode = (code, scope, options) => {
+    if (options.sandbox) {
+        return evaluateExpression(compileExpression(code, options), scope, options.helpers)
+    }
+
+    const precompiled = options.functions.get(code)
+
+    if (precompiled) {
+        const isOwn = name => Object.prototype.hasOwnProperty.call(scope, name)
+
+        return precompiled.fn(
+            precompiled.names.map(name => (isOwn(name) ? scope[name] : globalThis[name])),
+            precompiled.names.map(name => isOwn(name) || name in globalThis)
+        )
+    }
+
+    const fn = compileFunction(code, Object.keys(scope), options)
+
+    return fn(...Object.values(scope))
+}
+
+/**
+ * Splits code into a pipeline, reusing earlier results.
+ *
+ * @param {string} code - Trimmed placeholder code
+ * @param {Object} options - Normalized render options
+ * @returns {Object|null} Pipeline from splitPipeline(), or null
+ */
+const compilePipeline = (code, options) => {
+    if (!options.pipelineCache.has(code)) {
+        options.pipelineCache.set(code, splitPipeline(code))
+    }
+
+    return options.pipelineCache.get(code)
+}
+
+/**
+ * Checks whether a pipeline only names available helpers. Outside the sandbox,
+ * other pipelines are plain JavaScript, like the bitwise OR `a | b`.
+ *
+ * @param {Object} pipeline - Pipeline from splitPipeline()
+ * @param {Object} options - Render options, with the available helpers
+ * @returns {boolean} True if every filter is a helper
+ */
+const isHelperPipeline = (pipeline, options) => {
+    return pipeline.filters.every(({ name }) => {
+        return Object.prototype.hasOwnProperty.call(options.helpers, name) && typeof options.helpers[name] === 'function'
+    })
+}
+
+/**
+ * Evaluates the code of a placeholder or block against a scope. In a pipeline
+ * (`value | name(args)`), the value goes through each helper in turn, as its
+ * first argument. Asynchronous renders wait for promises between helpers.
+ *
+ * Outside the sandbox, `|` is only a pipe when every name after it is an
+ * available helper; otherwise the code runs as JavaScript. The sandbox has no
+ * bitwise operators, so its pipes always name helpers.
+ *
+ * @param {string} code - Trimmed placeholder code
+ * @param {Object} scope - Variables available to the code
+ * @param {Object} options - Render options, with the available helpers
+ * @returns {*} Evaluation result
+ * @throws {Error} If the code can't be compiled or throws
+ * @throws {ReferenceError} If a filter isn't a registered helper
+ */
+const evaluate = (code, scope, options) => {
+    const pipeline = compilePipeline(code, options)
+
+    if (!pipeline || (!options.sandbox && !isHelperPipeline(pipeline, options))) {
+        return evaluateCode(code, scope, options)
+    }
+
+    return pipeline.filters.reduce((result, { name, args }) => settle(result, options, value => {
+        const helper = Object.prototype.hasOwnProperty.call(options.helpers, name) ? options.helpers[name] : null
+
+        if (typeof helper !== 'function') {
+            throw new ReferenceError(`Helper '${name}' is not registered`)
+        }
+
+        return helper(value, ...(args ? evaluateCode(`[${args}]`, scope, options) : []))
+    }), evaluateCode(pipeline.code, scope, options))
+}
+
+/**
+ * Lists the code that evaluate() may compile for a placeholder: the code
+ * itself, or the value and arguments of a pipeline. Outside the sandbox, the
+ * helpers are only known at render time, so both are listed.
+ *
+ * @param {string} code - Trimmed placeholder code
+ * @param {Object} options - Normalized render options
+ * @returns {Array<string>} Compiled code
+ */
+const expandPipeline = (code, options) => {
+    const pipeline = splitPipeline(code)
+
+    if (!pipeline) return [code]
+
+    const parts = [pipeline.code, ...pipeline.filters.filter(filter => filter.args).map(filter => `[${filter.args}]`)]
+
+    return options.sandbox ? parts : [code, ...parts]
+}
+
+/**
+ * Writes the tag of a node back, with the delimiters of the template.
+ *
+ * @param {Object} node - Node from parse()
+ * @param {Object} options - Render options
+ * @returns {string} Tag
+ */
+const tagOf = (node, options) => {
+    const [open, close] = options.delimiters
+    return `${open}${node.source}${close}`
+}
+
+/**
+ * Reports a failed placeholder or block: to the `onError` hook if there is
+ * one, or else as a console warning (except in strict mode, which throws all
+ * the errors of a render at the end). The hook takes over from the throw.
+ *
+ * @param {string} message - Description of the failure
+ * @param {*} cause - Original error, if any
+ * @param {Object} node - Failed node
+ * @param {Object} options - Render options
+ * @param {Object} context - Render context of the template containing the node
+ */
+const report = (message, cause, node, options, context) => {
+    const error = new TemplateError(message, {
+        source: tagOf(node, options),
+        line: node.line,
+        column: node.column,
+        partial: context.partial,
+        cause
+    })
+
+    options.errors.push(error)
+
+    if (options.onError) options.onError(error)
+    else if (!options.strict) console.warn(error.message, cause)
+}
+
+/**
+ * Evaluates the expression of a block (or the arguments of a partial) and
+ * renders the block with the result. Failures are reported and treated as
+ * `undefined`, so the block renders its `#else` branch (or nothing).
+ *
+ * @param {Object} node - Block or partial node
+ * @param {Object} scope - Variables available to the code
+ * @param {Object} options - Render options
+ * @param {Object} context - Render context of the template containing the node
+ * @param {Function} renderBlock - Receives the result, or undefined on error, and renders the block
+ * @returns {Array|Promise<Array>} Output parts
+ */
+const evaluateBlock = (node, scope, options, context, renderBlock) => {
+    const fail = (err) => {
+        report('Error evaluating expression', err, node, options, context)
+        return renderBlock(undefined)
+    }
+
+    let result
+
+    try {
+        result = evaluate(node.expression, scope, options)
+    } catch (err) {
+        return fail(err)
+    }
+
+    return settle(result, options, renderBlock, fail)
+}
+
+/**
+ * Lists the entries a `#each` block iterates over: index/value pairs for
+ * arrays and other iterables, key/value pairs for plain objects.
+ *
+ * @param {*} value - Iterated value
+ * @returns {Array<[number|string, *]>} Entries
+ */
+const toEntries = (value) => {
+    if (value === null || value === undefined) return []
+    if (typeof value[Symbol.iterator] === 'function' && typeof value !== 'string') {
+        return [...value].map((item, index) => [index, item])
+    }
+    if (typeof value === 'object') return Object.entries(value)
+
+    return []
+}
+
+/**
+ * Layers the properties of an object over a scope.
+ *
+ * @param {Object} scope - Enclosing scope
+ * @param {*} value - Object whose properties become variables
+ * @returns {Object} New scope
+ */
+const spread = (scope, value) => {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) ? { ...scope, ...value } : scope
+}
+
+/**
+ * Renders parsed nodes against a scope, into output parts: strings, nested
+ * parts and, in asynchronous renders, promises of them. Parts are joined by
+ * joinParts() or streamed by streamParts().
+ *
+ * @param {Array<Object>} nodes - Nodes from parse()
+ * @param {Object} scope - Variables available to the placeholders
+ * @param {Object} options - Render options
+ * @param {Object} context - Partial depth and slot fills of the template being rendered
+ * @returns {Array} Output parts
+ */
+const render = (nodes, scope, options, context) => {
+    return nodes.map(node => renderNode(node, scope, options, context))
+}
+
+/**
+ * Renders a partial, for a `<!--> name-->` include or a `#layout` block. The
+ * optional argument expression must return an object, whose properties are
+ * layered over the enclosing scope.
+ *
+ * @param {Object} node - Partial or layout node
+ * @param {Object} scope - Variables available to the placeholders
+ * @param {Object} options - Normalized render options
+ * @param {Object} context - Render context of the including template
+ * @param {Map<string, Object>} slots - Slot fills passed to the partial
+ * @returns {Array|Promise<Array>} Output parts
+ * @throws {ReferenceError} If the partial doesn't exist
+ * @throws {RangeError} If partials are nested deeper than `maxDepth`
+ * @throws {TypeError} If a synchronous render includes a partial that is still loading
+ */
+const renderPartial = (node, scope, options, context, slots) => {
+    const where = `at line ${node.line}, column ${node.column}${context.partial ? ` in partial '${context.partial}'` : ''}`
+    const partial = resolvePartial(node.name, options)
+
+    if (!partial) {
+        throw new ReferenceError(`Partial '${node.name}' is not registered ${where}`)
+    }
+
+    if (context.depth >= options.maxDepth) {
+        throw new RangeError(`Maximum partial depth of ${options.maxDepth} exceeded by '${node.name}' ${where}`)
+    }
+
+    if (!options.async && isThenable(partial)) {
+        throw new TypeError(`Partial '${node.name}' is loaded asynchronously ${where}, render it with replacerAsync()`)
+    }
+
+    const inner = { depth: context.depth + 1, partial: node.name, slots }
+
+    return settle(partial, options, nodes => {
+        if (node.expression === null) return render(nodes, scope, options, inner)
+
+        return evaluateBlock(node, scope, options, context, value => render(nodes, spread(scope, value), options, inner))
+    })
+}
+
+/**
+ * Checks whether nodes produce more than whitespace.
+ *
+ * @param {Array<Object>} nodes - Nodes from parse()
+ * @returns {boolean} True if some node isn't blank text
+ */
+const hasContent = (nodes) => {
+    return nodes.some(node => node.type !== 'text' || node.value.trim() !== '')
+}
+
+/**
+ * Converts the result of an expression to output. Trusted markup (raw() values
+ * and `<!--=html-->` placeholders) is inserted as-is; everything else goes
+ * through the escape function.
+ *
+ * @param {*} result - Expression result
+ * @param {Object} node - Expression node
+ * @param {Object} options - Normalized render options
+ * @returns {string} Output
+ */
+const output = (result, node, options) => {
+    if (result instanceof RawHtml || node.raw) return String(result)
+
+    return options.escape(result)
+}
+
+/**
+ * Renders a single node against a scope.
+ *
+ * @param {Object} node - Node from parse()
+ * @param {Object} scope - Variables available to the placeholders
+ * @param {Object} options - Normalized render options
+ * @param {Object} context - Partial depth and slot fills of the template being rendered
+ * @returns {string|Array|Promise} Output parts
+ */
+const renderNode = (node, scope, options, context) => {
+    switch (node.type) {
+        case 'text':
+            return node.value
+        case 'expression': {
+            const fail = (err) => {
+                report('Error evaluating expression', err, node, options, context)
+                return tagOf(node, options)
+            }
+
+            try {
+                return settle(evaluate(node.code, scope, options), options, result => {
+                    if (result != undefined) return output(result, node, options)
+
+                    // Strict mode also catches typos like `user.nmae`
+                    if (options.strict) report(`Expression evaluated to ${result}`, undefined, node, options, context)
+
+                    return tagOf(node, options)
+                }, fail)
+            } catch (err) {
+                return fail(err)
+            }
+        }
+        case 'if':
+            return evaluateBlock(node, scope, options, context, value => {
+                return value
+                    ? render(node.children, scope, options, context)
+                    : render(node.alternate ?? [], scope, options, context)
+            })
+        case 'with':
+            return evaluateBlock(node, scope, options, context, value => {
+                if (value === null || value === undefined) return render(node.alternate ?? [], scope, options, context)
+
+                return render(node.children, node.alias ? { ...scope, [node.alias]: value } : spread(scope, value), options, context)
+            })
+        case 'each':
+            return evaluateBlock(node, scope, options, context, value => {
+                const entries = toEntries(value)
+
+                if (!entries.length) return render(node.alternate ?? [], scope, options, context)
+
+                return entries.map(([key, item]) => {
+                    const inner = node.item ? { ...scope, [node.item]: item } : spread(scope, item)
+                    if (node.index) inner[node.index] = key
+
+                    return render(node.children, inner, options, context)
+                })
+            })
+        case 'partial':
+            return renderPartial(node, scope, options, context, new Map())
+        case 'layout': {
+            // Fills render in the scope and context of the page, not of the layout
+            const slots = new Map(node.fills.map(fill => [fill.name, { nodes: fill.children, scope, context }]))
+
+            if (!slots.has('default') && hasContent(node.children)) {
+                slots.set('default', { nodes: node.children, scope, context })
+            }
+
+            return renderPartial(node, scope, options, context, slots)
+        }
+        case 'slot': {
+            const fill = context.slots.get(node.name)
+
+            return fill ? render(fill.nodes, fill.scope, options, fill.context) : render(node.children, scope, options, context)
+        }
+    }
+}
+
+/**
+ * Lists the code of every placeholder and block expression in a tree.
+ *
+ * @param {Array<Object>} nodes - Nodes from parse()
+ * @returns {Array<string>} Code, in document order
+ */
+const collectCode = (nodes) => {
+    return nodes.flatMap(node => {
+        switch (node.type) {
+            case 'text':
+                return []
+            case 'expression':
+                return [node.code]
+            default:
+                return [
+                    ...(node.expression ? [node.expression] : []),
+                    ...collectCode(node.children ?? []),
+                    ...collectCode(node.alternate ?? []),
+                    ...collectCode((node.fills ?? []).flatMap(fill => fill.children))
+                ]
+        }
+    })
+}
+
+/**
+ * Creates the render function of a parsed template.
+ *
+ * @param {Array<Object>} nodes - Nodes from parse()
+ * @param {Object} options - Normalized render options
+ * @returns {Function} Render function with async(), stream() and toModule() methods
+ */
+const createRenderer = (nodes, options) => {
+    const start = (data, async, errors) => {
+        // Registered helpers can change between renders; the caches are shared
+        const current = { ...options, helpers: resolveHelpers(options.helpers), async, errors }
+
+        // Sandboxed code calls helpers by name; unrestricted code reaches them through
+        // a single `helpers` variable, so they don't hide globals
+        const scope = current.sandbox ? { ...data } : { helpers: current.helpers, ...data }
+
+        return render(nodes, scope, current, ROOT_CONTEXT)
+    }
+
+    const renderer = (data = {}) => {
+        const errors = []
+        const html = joinParts(start(data, false, errors))
+
+        if (options.strict && !options.onError && errors.length) throw aggregateErrors(errors)
+
+        return html
+    }
+
+    // Strict streams throw after the last chunk, once every placeholder has settled.
+    // An onError hook receives the errors instead
+    renderer.stream = async function* (data = {}) {
+        const errors = []
+
+        yield* streamParts(start(data, true, errors))
+
+        if (options.strict && !options.onError && errors.length) throw aggregateErrors(errors)
+    }
+
+    renderer.async = async (data = {}) => {
+        let html = ''
+
+        for await (const chunk of renderer.stream(data)) html += chunk
+
+        return html
+    }
+
+    renderer.toModule = (specifier = './replacer/index.js') => {
+        const precompiled = { version: FORMAT_VERSION, options: options.serializable, nodes, expressions: {}, functions: {} }
+
+        // Partials loaded asynchronously are parsed at render time
+        const partials = Object.keys(options.partials)
+            .map(name => resolvePartial(name, options))
+            .filter(partial => Array.isArray(partial))
+            .flat()
+
+        const codes = new Set(collectCode([...nodes, ...partials]).flatMap(code => expandPipeline(code, options)))
+
+        // Templates ship their expression trees or evaluators, so nothing is compiled at runtime
+        for (const code of codes) {
+            if (options.sandbox) {
+                try {
+                    precompiled.expressions[code] = compileExpression(code, options)
+                } catch {
+                    // Invalid expressions keep failing (and warning) at render time
+                }
+            } else {
+                const compiled = toFunctionSource(code)
+
+                // Code that doesn't compile in strict mode is compiled at render time
+                if (compiled) precompiled.functions[code] = { names: compiled.names, fn: verbatim(compiled.source) }
+            }
+        }
+
+        return [
+            `import { hydrate } from ${JSON.stringify(specifier)}`,
+            '',
+            `export const template = ${toSource(precompiled)}`,
+            '',
+            'export default hydrate(template)',
+            ''
+        ].join('\n')
+    }
+
+    return renderer
+}
+
+/**
+ * Compiles a template into a reusable render function.
+ *
+ * The template is parsed once, and every placeholder is compiled the first
+ * time it is evaluated and then reused: across calls, and across the
+ * iterations of `#each` blocks. Prefer compile() over replacer() when the same
+ * template is rendered more than once.
+ *
+ * `render.async(data)` and `render.stream(data)` render the template like
+ * replacerAsync() and replacerStream().
+ *
+ * The render function also has a `toModule([specifier])` method that
+ * serializes the compiled template to the source of an ES module, so builds
+ * can ship templates precompiled. The module's default export is the render
+ * function, and its `template` export can be passed to hydrate() with other
+ * options. `specifier` is the import path of this module as seen from the
+ * generated file (default `'./replacer/index.js'`).
+ *
+ * @param {string} template - Template source
+ * @param {Object} [options] - Same options as replacer()
+ * @returns {Function} `render(data)` function returning the rendered string
+ * @throws {SyntaxError} If block directives are unbalanced or malformed.
+ *
+ * @example
+ * const row = compile('<tr><td><!--name--></td><td><!--price.toFixed(2)--></td></tr>')
+ * const html = products.map(product => row(product)).join('')
+ *
+ * @example
+ * // Build step
+ * await fs.writeFile('card.template.js', compile(cardTemplate, { sandbox: true }).toModule('../replacer/index.js'))
+ *
+ * // Runtime
+ * import card from './card.template.js'
+ * card({ title: 'Hello' })
+ */
+export const compile = (template, options = {}) => {
+    const opts = normalizeOptions(options)
+
+    return createRenderer(parse(template, opts.delimiters), opts)
+}
+
+/**
+ * Restores a render function from a template precompiled by toModule(). The
+ * template carries its evaluators, so nothing is compiled with `new Function`.
+ *
+ * Functions can't be serialized, so `helpers` and custom `escape` functions
+ * have to be passed again. Other options (except `delimiters`) override the ones the template was
+ * compiled with.
+ *
+ * @param {Object} precompiled - `template` export of a generated module
+ * @param {Object} [options] - Same options as replacer()
+ * @returns {Function} `render(data)` function returning the rendered string
+ * @throws {TypeError} If the template was written by an incompatible version
+ *
+ * @example
+ * import { template } from './card.template.js'
+ * const card = hydrate(template, { helpers: { money: n => n.toFixed(2) } })
+ */
+export const hydrate = (precompiled, options = {}) => {
+    if (precompiled?.version !== FORMAT_VERSION) {
+        throw new TypeError(`Unsupported precompiled template version: ${precompiled?.version}`)
+    }
+
+    // The nodes were parsed with the original delimiters, which can't change
+    const opts = normalizeOptions({ ...precompiled.options, ...options, delimiters: precompiled.options.delimiters })
+
+    if (opts.sandbox) {
+        for (const [code, tree] of Object.entries(precompiled.expressions)) {
+            opts.cache.set(code, tree)
+        }
+    } else {
+        for (const [code, evaluator] of Object.entries(precompiled.functions)) {
+            opts.functions.set(code, evaluator)
+        }
+    }
+
+    return createRenderer(precompiled.nodes, opts)
+}
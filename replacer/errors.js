@@ -0,0 +1,43 @@
+/**
+ * A placeholder or block expression that failed to evaluate, with its
+ * location in the template. Passed to the `onError` option and collected by
+ * the AggregateError thrown in strict mode.
+ */
+export class TemplateError extends Error {
+    /**
+     * @param {string} message - Description of the failure
+     * @param {Object} details - Location and cause
+     * @param {string} details.source - Tag as written, delimiters included
+     * @param {number} details.line - 1-based line of the tag
+     * @param {number} details.column - 1-based column of the tag
+     * @param {string|null} details.partial - Partial containing the tag, null for the main template
+     * @param {*} [details.cause] - Original error
+     */
+    constructor(message, { source, line, column, partial, cause }) {
+        const where = `at line ${line}, column ${column}${partial ? ` in partial '${partial}'` : ''}`
+
+        super(`${message}: ${source} ${where}`, { cause })
+
+        this.name = 'TemplateError'
+        this.source = source
+        this.line = line
+        this.column = column
+        this.partial = partial
+    }
+}
+
+/**
+ * Combines the errors of a strict render into one error.
+ *
+ * @param {Array<TemplateError>} errors - Errors, in the order they occurred
+ * @returns {AggregateError} Error listing every failure
+ */
+export const aggregateErrors = (errors) => {
+    const count = errors.length === 1 ? '1 error' : `${errors.length} errors`
+    const details = errors.map(error => {
+        const cause = error.cause instanceof Error ? ` (${error.cause.name}: ${error.cause.message})` : ''
+        return `\n  - ${error.message}${cause}`
+    })
+
+    return new AggregateError(errors, `Template rendering failed with ${count}:${details.join('')}`)
+}
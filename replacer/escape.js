@@ -0,0 +1,55 @@
+/**
+ * HTML entities for the characters that are unsafe in text and quoted attributes
+ * @constant {Object<string, string>}
+ */
+const ENTITIES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+}
+
+/**
+ * Trusted markup that replacer() inserts without escaping. Created with raw().
+ */
+export class RawHtml {
+    /**
+     * @param {*} value - Trusted markup
+     */
+    constructor(value) {
+        this.value = String(value)
+    }
+
+    toString() {
+        return this.value
+    }
+}
+
+/**
+ * Escapes a value for safe insertion into HTML text or a quoted attribute.
+ *
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped string
+ *
+ * @example
+ * escapeHtml('<b>"Tom" & Jerry</b>') // '&lt;b&gt;&quot;Tom&quot; &amp; Jerry&lt;/b&gt;'
+ */
+export const escapeHtml = (value) => {
+    return String(value).replace(/[&<>"']/g, char => ENTITIES[char])
+}
+
+/**
+ * Marks a value as trusted markup, so replacer() inserts it verbatim.
+ * Never pass user-supplied content to raw().
+ *
+ * @param {*} value - Trusted markup
+ * @returns {RawHtml} Marked value
+ *
+ * @example
+ * replacer('<div><!--content--></div>', { content: raw('<b>Bold</b>') })
+ * // '<div><b>Bold</b></div>'
+ */
+export const raw = (value) => {
+    return value instanceof RawHtml ? value : new RawHtml(value)
+}
@@ -0,0 +1,153 @@
+import { raw } from './escape.js'
+
+/**
+ * Helpers available in every template, usable as filters (`<!--price | currency('EUR')-->`)
+ * or as functions (`<!--currency(price, 'EUR')-->`)
+ * @constant {Object<string, Function>}
+ */
+const BUILT_IN_HELPERS = {
+    /**
+     * Formats a date with Intl.DateTimeFormat.
+     * @param {Date|string|number} value - Date, or anything `new Date()` accepts
+     * @param {string|Object} [format='medium'] - `'short'`, `'medium'`, `'long'`, `'full'`, `'iso'` or Intl options
+     * @param {string} [locale] - Locale, the runtime's by default
+     */
+    date: (value, format = 'medium', locale) => {
+        const date = value instanceof Date ? value : new Date(value)
+
+        if (format === 'iso') return date.toISOString()
+
+        const options = typeof format === 'string' ? { dateStyle: format } : format
+
+        return new Intl.DateTimeFormat(locale, options).format(date)
+    },
+
+    /**
+     * Formats a number with Intl.NumberFormat.
+     * @param {number} value - Number
+     * @param {number|Object} [format] - Fraction digits, or Intl options
+     * @param {string} [locale] - Locale, the runtime's by default
+     */
+    number: (value, format = {}, locale) => {
+        const options = typeof format === 'number'
+            ? { minimumFractionDigits: format, maximumFractionDigits: format }
+            : format
+
+        return new Intl.NumberFormat(locale, options).format(value)
+    },
+
+    /**
+     * Formats an amount of money with Intl.NumberFormat.
+     * @param {number} value - Amount
+     * @param {string} [currency='USD'] - ISO 4217 currency code
+     * @param {string} [locale] - Locale, the runtime's by default
+     */
+    currency: (value, currency = 'USD', locale) => {
+        return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(value)
+    },
+
+    /**
+     * Shortens a string to at most `length` characters, suffix included.
+     * @param {*} value - Text
+     * @param {number} [length=50] - Maximum length
+     * @param {string} [suffix='…'] - Appended when the text is cut
+     */
+    truncate: (value, length = 50, suffix = '…') => {
+        const text = String(value)
+
+        return text.length > length ? text.slice(0, Math.max(0, length - suffix.length)) + suffix : text
+    },
+
+    /**
+     * Serializes a value to JSON.
+     * @param {*} value - Value
+     * @param {number} [indent] - Indentation
+     */
+    json: (value, indent) => JSON.stringify(value, null, indent),
+
+    /**
+     * Replaces `null`, `undefined` and empty strings with a fallback.
+     * @param {*} value - Value
+     * @param {*} fallback - Fallback
+     */
+    default: (value, fallback) => (value === null || value === undefined || value === '' ? fallback : value),
+
+    /**
+     * Joins the items of an array or other iterable.
+     * @param {Iterable} value - Items
+     * @param {string} [separator=', '] - Separator
+     */
+    join: (value, separator = ', ') => Array.from(value ?? []).join(separator),
+
+    /**
+     * Converts text to upper case.
+     * @param {*} value - Text
+     */
+    upper: (value) => String(value).toUpperCase(),
+
+    /**
+     * Converts text to lower case.
+     * @param {*} value - Text
+     */
+    lower: (value) => String(value).toLowerCase(),
+
+    /**
+     * Pads text at the start to `length` characters (at the end for a negative length).
+     * @param {*} value - Text
+     * @param {number} length - Target length
+     * @param {string} [fill=' '] - Padding
+     */
+    pad: (value, length, fill = ' ') => {
+        return length < 0 ? String(value).padEnd(-length, fill) : String(value).padStart(length, fill)
+    },
+
+    raw
+}
+
+/**
+ * Helpers registered with registerHelper(), by name
+ * @constant {Map<string, Function>}
+ */
+const REGISTRY = new Map()
+
+/**
+ * Registers a helper for every template. Helpers are used as filters
+ * (`<!--value | name(args)-->`, receiving the value as first argument) or
+ * called directly (`<!--name(value, args)-->`). Registered helpers override
+ * built-in ones with the same name.
+ *
+ * @param {string} name - Helper name
+ * @param {Function} helper - Helper function
+ * @throws {TypeError} If the helper isn't a function
+ *
+ * @example
+ * registerHelper('plural', (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`)
+ * replacer('<!--items.length | plural("item")-->', { items: [1, 2] }) // '2 items'
+ */
+export const registerHelper = (name, helper) => {
+    if (typeof helper !== 'function') {
+        throw new TypeError(`Helper '${name}' must be a function`)
+    }
+
+    REGISTRY.set(name, helper)
+}
+
+/**
+ * Removes a helper registered with registerHelper().
+ *
+ * @param {string} name - Helper name
+ * @returns {boolean} Whether the helper existed
+ */
+export const unregisterHelper = (name) => {
+    return REGISTRY.delete(name)
+}
+
+/**
+ * Merges the built-in, registered and per-call helpers, in increasing priority.
+ *
+ * @param {Object<string, Function>} helpers - Helpers passed in the options of the call
+ * @returns {Object<string, Function>} Available helpers
+ */
+export const resolveHelpers = (helpers) => {
+    return { ...BUILT_IN_HELPERS, ...Object.fromEntries(REGISTRY), ...helpers }
+}
@@ -1,10 +1,66 @@
+import { compile } from './compile.js'
+
+export { compile, hydrate } from './compile.js'
+export { escapeHtml, raw } from './escape.js'
+export { registerPartial, unregisterPartial } from './partials.js'
+export { registerHelper, unregisterHelper } from './helpers.js'
+export { toReadableStream } from './stream.js'
+export { TemplateError } from './errors.js'
+export { mount } from './mount.js'
+
 /**
  * Replaces HTML comment placeholders in a template string with evaluated JavaScript expressions or statements.
  *
+ * Block directives repeat or toggle sections of the template. Blocks nest, and
+ * each one opens a new scope layered over the enclosing one:
+ * - `<!--#each items as item, i-->...<!--/each-->` repeats its content for every
+ *   array (or iterable) item, or every key of a plain object. Without `as`, the
+ *   item's own properties become variables. An `<!--#else-->` branch renders
+ *   when there is nothing to iterate.
+ * - `<!--#if cond-->...<!--#else if other-->...<!--#else-->...<!--/if-->` renders
+ *   the first branch whose condition is truthy.
+ * - `<!--#with obj-->...<!--/with-->` exposes the properties of an object as
+ *   variables (or the whole object with `#with obj as name`), and renders its
+ *   `<!--#else-->` branch when the value is null or undefined.
+ *
+ * With `sandbox: true`, placeholders are parsed and interpreted by a built-in
+ * expression evaluator instead of `new Function`, so templates work under a
+ * Content-Security-Policy without `unsafe-eval`. Sandboxed placeholders are
+ * single expressions that only see `data` (and block variables) and can only
+ * call the registered `helpers`.
+ *
+ * Partials are included with `<!--> name args-->`, where the optional `args`
+ * expression returns an object whose properties are layered over the scope. A
+ * `<!--#layout name-->` block renders a partial as a layout: its
+ * `<!--#fill slot-->` blocks (and remaining content, for the default slot)
+ * replace the layout's `<!--#slot slot-->fallback<!--/slot-->` blocks.
+ *
+ * Values can be piped through helpers: `<!--price | currency('EUR') | pad(10)-->`.
+ * Built-in helpers (date, number, currency, truncate, json, default, join,
+ * upper, lower, pad, raw) are always available; others are added with
+ * registerHelper() or the `helpers` option. Sandboxed placeholders can call
+ * helpers by name, unrestricted ones through the `helpers` variable:
+ * `<!--helpers.currency(price, 'EUR')-->`.
+ *
+ * Results are HTML-escaped, so they are safe in text and quoted attributes.
+ * Trusted markup can be inserted verbatim with `<!--=html expr-->` or by
+ * wrapping the value in `raw()` (available inside templates as a helper).
+ *
  * @param {string} template - The template string containing HTML comments with JavaScript code to evaluate.
  *                           Comments should be in the format: <!--code-->
  * @param {Object} data - An object containing variables to be made available to the evaluated code.
  *                       The object's keys become variable names accessible within the code blocks.
+ * @param {Object} [options] - Optional configuration
+ * @param {boolean|Function} [options.escape=true] - Escape results with escapeHtml(), pass false to
+ *                       insert them verbatim, or a function to escape them yourself.
+ * @param {boolean} [options.sandbox=false] - Evaluate placeholders with the built-in interpreter.
+ * @param {Object<string, Function>} [options.helpers={}] - Helpers for filters and calls, overriding registered ones.
+ * @param {Object<string, string|Function>} [options.partials={}] - Partial templates or loaders, overriding registered ones.
+ * @param {number} [options.maxDepth=32] - Maximum nesting of partials and layouts.
+ * @param {boolean} [options.strict=false] - Throw an AggregateError of every failed or undefined placeholder.
+ *                       With `onError`, the errors go to the hook instead.
+ * @param {Function} [options.onError] - Receives each TemplateError instead of the console.
+ * @param {string[]} [options.delimiters=['<!--', '-->']] - Opening and closing delimiters of placeholders.
  *
  * @returns {string} The template string with comments replaced by their evaluated results.
  *                   If evaluation fails or returns undefined, the original comment is preserved.
@@ -27,22 +83,91 @@
  * const data = { x: 10 };
  * replacer(template, data); // Returns: '<p>20</p>'
  *
- * @throws {Error} Logs a warning to console if code evaluation fails, but doesn't throw.
- *                 Failed evaluations preserve the original comment in the output.
+ * @example
+ * // Loops and conditionals
+ * const template = '<ul><!--#each items as item, i--><li><!--i + 1-->. <!--item--></li><!--#else--><li>Empty</li><!--/each--></ul>';
+ * replacer(template, { items: ['a', 'b'] }); // Returns: '<ul><li>1. a</li><li>2. b</li></ul>'
+ *
+ * @example
+ * // Escaping and raw output
+ * const template = '<p><!--comment--></p><div><!--=html signature--></div>';
+ * replacer(template, { comment: '<script>', signature: '<b>Ana</b>' });
+ * // Returns: '<p>&lt;script&gt;</p><div><b>Ana</b></div>'
+ *
+ * @example
+ * // Sandboxed evaluation (no new Function, no globals)
+ * const template = '<p><!--money(total * 1.21)--></p>';
+ * replacer(template, { total: 100 }, { sandbox: true, helpers: { money: n => n.toFixed(2) } });
+ * // Returns: '<p>121.00</p>'
+ *
+ * @example
+ * // Filters
+ * const template = '<td><!--price | currency("EUR", "en-US")--></td>';
+ * replacer(template, { price: 9.5 }); // Returns: '<td>€9.50</td>'
+ *
+ * @example
+ * // Partials and layouts
+ * registerPartial('base', '<main><!--#slot-->Empty<!--/slot--></main>');
+ * const template = '<!--#layout base--><!--> card {title: name}--><!--/layout-->';
+ * replacer(template, { name: 'Ana' }, { partials: { card: '<h2><!--title--></h2>' } });
+ * // Returns: '<main><h2>Ana</h2></main>'
+ *
+ * @throws {SyntaxError} If block directives are unbalanced or malformed.
+ * @throws {ReferenceError} If an included partial isn't registered.
+ * @throws {RangeError} If partials are nested deeper than `maxDepth`.
+ * @throws {AggregateError} In strict mode without `onError`, if placeholders fail or evaluate to null or undefined.
+ * @throws {Error} Otherwise logs a warning to console (or calls `onError`) if code evaluation fails,
+ *                 but doesn't throw. Failed evaluations preserve the original comment in the output.
  */
+export const replacer = (template, data, options = {}) => {
+    return compile(template, options)(data)
+}
 
-export const replacer = (template, data) => {
-    return template.replace(/<!--(.*?)-->/gs, (_, raw_code) => {
-        const code = raw_code.trim()
-        const isExpression = !code.includes(';') && !code.startsWith('return')
-        const body = isExpression ? `return (${code});` : `"use strict";\n${code}`
-        try {
-            const fn = new Function(...Object.keys(data), body)
-            const result = fn(...Object.values(data))
-            return result == undefined ? `<!--${code}-->` : result
-        } catch (err) {
-            console.warn(`Error evaluating expression: <!--${code}-->`, err)
-            return `<!--${code}-->`
-        }
-    })
-}
\ No newline at end of file
+/**
+ * Asynchronous replacer(): placeholders and block expressions may return
+ * promises, which are awaited before their result is inserted. Promises are
+ * started as the template is rendered, so independent ones run concurrently,
+ * and partials can be loaded lazily (see registerPartial()).
+ *
+ * Rejected placeholders behave like evaluation errors: a warning is logged
+ * and the comment is preserved. Missing partials and syntax errors reject.
+ *
+ * @param {string} template - Template source
+ * @param {Object} data - Variables available to the placeholders
+ * @param {Object} [options] - Same options as replacer()
+ * @returns {Promise<string>} Rendered output
+ *
+ * @example
+ * const html = await replacerAsync('<!--#with user--><h1><!--name--></h1><!--/with--><!--#each posts as post--><p><!--post.title--></p><!--/each-->', {
+ *     user: fetchUser(id),
+ *     posts: fetchPosts(id)
+ * })
+ * // Both requests run at the same time
+ */
+export const replacerAsync = async (template, data, options = {}) => {
+    return compile(template, options).async(data)
+}
+
+/**
+ * Streaming replacer(): yields the output in document order, as soon as
+ * each part is ready. Everything up to the first pending promise is flushed
+ * right away, so a page can send its head before slow data arrives. Accepts
+ * the same templates as replacerAsync().
+ *
+ * The chunks are an async iterable; wrap them with toReadableStream() for
+ * Web Streams APIs.
+ *
+ * @param {string} template - Template source
+ * @param {Object} data - Variables available to the placeholders
+ * @param {Object} [options] - Same options as replacer()
+ * @returns {AsyncGenerator<string>} Output chunks
+ *
+ * @example
+ * for await (const chunk of replacerStream(page, { products: loadProducts() })) {
+ *     response.write(chunk)
+ * }
+ * response.end()
+ */
+export const replacerStream = (template, data, options = {}) => {
+    return compile(template, options).stream(data)
+}
@@ -0,0 +1,389 @@
+import { compile } from './compile.js'
+
+/**
+ * Node type of elements
+ * @constant {number}
+ */
+const ELEMENT_NODE = 1
+
+/**
+ * Attribute that keeps the content of an element out of updates
+ * @constant {string}
+ */
+const PRESERVE_ATTRIBUTE = 'data-preserve'
+
+/**
+ * Nodes created (or adopted) by a mount. Other children, like the ones added
+ * by scripts, are left where they are.
+ * @constant {WeakSet<Node>}
+ */
+const OWNED = new WeakSet()
+
+/**
+ * Attributes each mounted element got from the template on the last render.
+ * Updates only touch the attributes the template changed, so attributes,
+ * classes and styles set at runtime survive.
+ * @constant {WeakMap<Element, Map<string, string>>}
+ */
+const RENDERED = new WeakMap()
+
+/**
+ * Lists the attributes of an element.
+ *
+ * @param {Element} element - Element
+ * @returns {Map<string, string>} Attribute values, by name
+ */
+const attributesOf = (element) => {
+    return new Map([...element.attributes].map(attribute => [attribute.name, attribute.value]))
+}
+
+/**
+ * Marks a node and its descendants as owned by the mount, recording the
+ * attributes of its elements as rendered.
+ *
+ * @param {Node} node - Node
+ * @returns {Node} The same node
+ */
+const own = (node) => {
+    OWNED.add(node)
+
+    if (node.nodeType === ELEMENT_NODE) RENDERED.set(node, attributesOf(node))
+
+    for (const child of node.childNodes) own(child)
+
+    return node
+}
+
+/**
+ * Reads the key of a node, used to match list items across renders.
+ *
+ * @param {Node} node - Node
+ * @param {string} key - Key attribute
+ * @returns {string|null} Key, or null for unkeyed nodes
+ */
+const keyOf = (node, key) => {
+    return node.nodeType === ELEMENT_NODE ? node.getAttribute(key) : null
+}
+
+/**
+ * Parses the declarations of a style attribute with the browser's CSS parser.
+ *
+ * @param {Document} document - Document creating the scratch element
+ * @param {string|null} css - Style attribute value
+ * @returns {Map<string, [string, string]>} Value and priority, by property
+ */
+const declarationsOf = (document, css) => {
+    const { style } = document.createElement('div')
+    style.cssText = css ?? ''
+
+    return new Map([...style].map(property => [property, [style.getPropertyValue(property), style.getPropertyPriority(property)]]))
+}
+
+/**
+ * Applies the changes between two renders of the `class` attribute, keeping
+ * the classes added at runtime.
+ *
+ * @param {Element} element - Live element
+ * @param {string|null} previous - Rendered value
+ * @param {string|null} next - New value
+ */
+const patchClass = (element, previous, next) => {
+    const tokens = (value) => new Set((value ?? '').split(/\s+/).filter(Boolean))
+    const added = tokens(next)
+
+    for (const token of tokens(previous)) {
+        if (!added.has(token)) element.classList.remove(token)
+    }
+
+    for (const token of added) element.classList.add(token)
+}
+
+/**
+ * Applies the changes between two renders of the `style` attribute, keeping
+ * the properties set at runtime.
+ *
+ * @param {Element} element - Live element
+ * @param {string|null} previous - Rendered value
+ * @param {string|null} next - New value
+ */
+const patchStyle = (element, previous, next) => {
+    const before = declarationsOf(element.ownerDocument, previous)
+    const after = declarationsOf(element.ownerDocument, next)
+
+    for (const property of before.keys()) {
+        if (!after.has(property)) element.style.removeProperty(property)
+    }
+
+    for (const [property, [value, priority]] of after) {
+        const [old_value, old_priority] = before.get(property) ?? []
+
+        if (value !== old_value || priority !== old_priority) element.style.setProperty(property, value, priority)
+    }
+}
+
+/**
+ * Mirrors a changed attribute on the matching live property of form
+ * controls. Properties only follow the template when it changes them, so
+ * what the user typed or checked survives other updates.
+ *
+ * @param {Element} element - Live element
+ * @param {string} name - Attribute name
+ * @param {string|null} value - New value, or null when removed
+ */
+const syncProperty = (element, name, value) => {
+    if (name === 'value' && 'value' in element && element.value !== (value ?? '')) {
+        element.value = value ?? ''
+    } else if (name === 'checked' && 'checked' in element) {
+        element.checked = value !== null
+    } else if (name === 'selected' && 'selected' in element) {
+        element.selected = value !== null
+    }
+}
+
+/**
+ * Applies the attribute changes between the last render and the new one.
+ *
+ * @param {Element} element - Live element
+ * @param {Element} next - Element of the new render
+ */
+const patchAttributes = (element, next) => {
+    const previous = RENDERED.get(element) ?? new Map()
+    const current = attributesOf(next)
+
+    for (const [name, value] of current) {
+        const old_value = previous.get(name) ?? null
+
+        if (value === old_value) continue
+
+        if (name === 'class') patchClass(element, old_value, value)
+        else if (name === 'style') patchStyle(element, old_value, value)
+        else element.setAttribute(name, value)
+
+        syncProperty(element, name, value)
+    }
+
+    for (const [name, old_value] of previous) {
+        if (current.has(name)) continue
+
+        if (name === 'class') patchClass(element, old_value, null)
+        else if (name === 'style') patchStyle(element, old_value, null)
+        else element.removeAttribute(name)
+
+        syncProperty(element, name, null)
+    }
+
+    RENDERED.set(element, current)
+}
+
+/**
+ * Updates a live node to match a node of the new render.
+ *
+ * @param {Node} node - Live node
+ * @param {Node} next - Matching node of the new render
+ * @param {string} key - Key attribute
+ */
+const patchNode = (node, next, key) => {
+    if (node.nodeType !== ELEMENT_NODE) {
+        if (node.nodeValue !== next.nodeValue) node.nodeValue = next.nodeValue
+        return
+    }
+
+    patchAttributes(node, next)
+
+    if (node.hasAttribute(PRESERVE_ATTRIBUTE)) return
+
+    // A textarea's text is its default value; follow it only when it changes
+    const text_changed = node.nodeName === 'TEXTAREA' && node.defaultValue !== next.textContent
+
+    patchChildren(node, next, key)
+
+    if (text_changed) node.value = next.textContent
+}
+
+/**
+ * Reconciles the children of a live node with the ones of the new render.
+ *
+ * Keyed elements are matched by key wherever they are, and moved into place.
+ * Other nodes are matched in order with the next unmatched live node of the
+ * same type and tag. Unmatched live nodes are removed, and new nodes are
+ * inserted. Nodes the mount doesn't own are skipped.
+ *
+ * @param {Node} parent - Live parent
+ * @param {Node} next_parent - Parent of the new render
+ * @param {string} key - Key attribute
+ */
+const patchChildren = (parent, next_parent, key) => {
+    const children = [...parent.childNodes].filter(node => OWNED.has(node))
+    const keyed = new Map()
+    const matched = new Set()
+    let cursor = 0
+
+    for (const child of children) {
+        const child_key = keyOf(child, key)
+        if (child_key !== null && !keyed.has(child_key)) keyed.set(child_key, child)
+    }
+
+    for (const next of [...next_parent.childNodes]) {
+        while (cursor < children.length && matched.has(children[cursor])) cursor++
+
+        const candidate = children[cursor] ?? null
+        const next_key = keyOf(next, key)
+        let match = null
+
+        if (next_key !== null) {
+            const found = keyed.get(next_key)
+            if (found && !matched.has(found) && found.nodeName === next.nodeName) match = found
+        } else if (candidate && keyOf(candidate, key) === null && candidate.nodeName === next.nodeName) {
+            match = candidate
+        }
+
+        if (!match) {
+            parent.insertBefore(own(next), candidate)
+            continue
+        }
+
+        matched.add(match)
+
+        if (match !== candidate) {
+            // Moving an element can reset its scroll position
+            const { scrollTop, scrollLeft } = match
+
+            parent.insertBefore(match, candidate)
+
+            if (match.scrollTop !== scrollTop) match.scrollTop = scrollTop
+            if (match.scrollLeft !== scrollLeft) match.scrollLeft = scrollLeft
+        }
+
+        patchNode(match, next, key)
+    }
+
+    for (const child of children) {
+        if (!matched.has(child)) parent.removeChild(child)
+    }
+}
+
+/**
+ * Saves the focused element and its text selection.
+ *
+ * @param {Document} document - Document
+ * @returns {Object} Focus state
+ */
+const saveFocus = (document) => {
+    const element = document.activeElement
+    const focus = { element, selection: null }
+
+    try {
+        if (element && typeof element.selectionStart === 'number') {
+            focus.selection = [element.selectionStart, element.selectionEnd, element.selectionDirection]
+        }
+    } catch {
+        // Some input types don't expose their selection
+    }
+
+    return focus
+}
+
+/**
+ * Gives the focus back to an element that lost it while being moved.
+ *
+ * @param {Document} document - Document
+ * @param {Object} focus - Focus state from saveFocus()
+ */
+const restoreFocus = (document, { element, selection }) => {
+    if (!element || document.activeElement === element || !element.isConnected) return
+
+    element.focus({ preventScroll: true })
+
+    if (selection) element.setSelectionRange?.(...selection)
+}
+
+/**
+ * Reads the values of the fields (reactive and computed) of a context.
+ * Other properties of the instance aren't template data.
+ *
+ * @param {ReactiveContext} context - Context providing the data
+ * @returns {Object} Field values, by name
+ */
+const fieldValues = (context) => {
+    return Object.fromEntries(context.getFieldNames().map(name => [name, context[name]]))
+}
+
+/**
+ * Renders a template into an element and keeps it in sync with a
+ * ReactiveContext.
+ *
+ * The template is rendered with the context's fields (reactive and computed)
+ * as variables. After any `:change` event, it's rendered again (once per
+ * microtask) and the element is patched in place instead of replacing its
+ * HTML: only changed text, attributes and nodes are touched, so focus,
+ * selections, scroll positions, form input and objects attached to the
+ * elements (like DragToScrollOnPc instances) survive.
+ *
+ * - List items with a `data-key` attribute are matched by key, so reordered
+ *   items are moved instead of rewritten.
+ * - Attributes, classes and style properties are only updated when the
+ *   template changes them; the ones added at runtime are kept.
+ * - Elements with a `data-preserve` attribute keep their content.
+ * - Nodes inserted by other scripts are left alone. The element's initial
+ *   content (e.g. server-rendered HTML) is adopted on the first render.
+ *
+ * @param {Element} element - Element to render into
+ * @param {string|Function} template - Template, or a render function from compile()
+ * @param {ReactiveContext} context - Context providing the data
+ * @param {Object} [options] - Options of compile(), plus:
+ * @param {string} [options.key='data-key'] - Attribute holding the key of list items
+ * @param {Object} [options.data={}] - Extra variables, overridden by the context's fields
+ * @returns {{update: Function, destroy: Function}} Controls: update() re-renders right away,
+ *          destroy() stops following the context (the content stays)
+ *
+ * @example
+ * const view = mount(document.querySelector('#todos'), `
+ *     <input class="new" placeholder="Add a task">
+ *     <ul><!--#each todos as todo--><li data-key="<!--todo.id-->"><!--todo.title--></li><!--/each--></ul>
+ * `, ctx)
+ *
+ * ctx.todos.push({ id: 3, title: 'Ship it' }) // Inserts one <li>; the input keeps its text and focus
+ *
+ * // Later
+ * view.destroy()
+ */
+export const mount = (element, template, context, options = {}) => {
+    const { key = 'data-key', data = {}, ...render_options } = options
+    const render = typeof template === 'function' ? template : compile(template, render_options)
+    const document = element.ownerDocument
+    let scheduled = false
+    let destroyed = false
+
+    for (const child of element.childNodes) own(child)
+
+    const update = () => {
+        scheduled = false
+
+        if (destroyed) return
+
+        const next = document.createElement('template')
+        next.innerHTML = render({ ...data, ...fieldValues(context) })
+
+        const focus = saveFocus(document)
+
+        patchChildren(element, next.content, key)
+        restoreFocus(document, focus)
+    }
+
+    const off = context.on('**:change', () => {
+        if (scheduled || destroyed) return
+
+        scheduled = true
+        queueMicrotask(update)
+    })
+
+    update()
+
+    return {
+        update,
+        destroy() {
+            destroyed = true
+            off()
+        }
+    }
+}
@@ -0,0 +1,331 @@
+/**
+ * Default opening and closing delimiters of placeholders
+ * @constant {string[]}
+ */
+export const DEFAULT_DELIMITERS = ['<!--', '-->']
+
+/**
+ * Directives opening a block, with the pattern of their arguments
+ * @constant {Object<string, RegExp>}
+ */
+const BLOCKS = {
+    each: /^#each\s+(.+?)(?:\s+as\s+([A-Za-z_$][\w$]*)(?:\s*,\s*([A-Za-z_$][\w$]*))?)?$/s,
+    if: /^#if\s+(.+)$/s,
+    with: /^#with\s+(.+?)(?:\s+as\s+([A-Za-z_$][\w$]*))?$/s,
+    layout: /^#layout\s+([\w$./-]+)(?:\s+(.+))?$/s,
+    fill: /^#fill\s+([\w$-]+)$/,
+    slot: /^#slot(?:\s+([\w$-]+))?$/
+}
+
+/**
+ * Blocks that accept an `<!--#else-->` branch
+ * @constant {string[]}
+ */
+const BRANCHING = ['each', 'if', 'with']
+
+/**
+ * Matches a partial include: `<!--> name args-->`
+ * @constant {RegExp}
+ */
+const PARTIAL = /^>\s*([\w$./-]+)(?:\s+(.+))?$/s
+
+/**
+ * Matches a filter of a pipeline: `name` or `name(args)`
+ * @constant {RegExp}
+ */
+const FILTER = /^\s*([A-Za-z_$][\w$]*)\s*(?:\((.*)\))?\s*$/s
+
+/**
+ * Splits placeholder code on its top-level pipes: `value | name(args) | other`.
+ * `||`, `|=` and pipes inside strings or brackets are left alone, and code whose
+ * segments aren't all filters (like the bitwise `a | 1`) isn't a pipeline.
+ * Whether the filters name helpers is checked at render time.
+ *
+ * @param {string} code - Placeholder code
+ * @returns {{code: string, filters: Array<{name: string, args: string}>}|null} Pipeline, or null
+ *
+ * @example
+ * splitPipeline("price | currency('EUR') | pad(10)")
+ * // { code: 'price', filters: [{ name: 'currency', args: "'EUR'" }, { name: 'pad', args: '10' }] }
+ */
+export const splitPipeline = (code) => {
+    const segments = []
+    let depth = 0
+    let quote = null
+    let start = 0
+
+    for (let index = 0; index < code.length; index++) {
+        const char = code[index]
+
+        if (quote) {
+            if (char === '\\') index++
+            else if (char === quote) quote = null
+            continue
+        }
+
+        if (char === '"' || char === "'" || char === '`') {
+            quote = char
+        } else if ('([{'.includes(char)) {
+            depth++
+        } else if (')]}'.includes(char)) {
+            depth--
+        } else if (char === '|' && depth === 0) {
+            if (code[index + 1] === '|' || code[index + 1] === '=') {
+                index++
+            } else {
+                segments.push(code.slice(start, index))
+                start = index + 1
+            }
+        }
+    }
+
+    if (!segments.length) return null
+
+    segments.push(code.slice(start))
+
+    const filters = segments.slice(1).map(segment => segment.match(FILTER))
+
+    if (filters.some(filter => !filter)) return null
+
+    return {
+        code: segments[0].trim(),
+        filters: filters.map(([, name, args]) => ({ name, args: args?.trim() ?? '' }))
+    }
+}
+
+/**
+ * Converts an offset in a template to a 1-based line and column.
+ *
+ * @param {string} template - Template source
+ * @param {number} index - Character offset
+ * @returns {{line: number, column: number}} Position
+ */
+export const locate = (template, index) => {
+    const lines = template.slice(0, index).split('\n')
+
+    return { line: lines.length, column: lines[lines.length - 1].length + 1 }
+}
+
+/**
+ * Builds the pattern matching every placeholder between a pair of delimiters.
+ *
+ * @param {string[]} delimiters - Opening and closing delimiters
+ * @returns {RegExp} Global pattern capturing the placeholder code
+ * @throws {TypeError} If the delimiters aren't two non-empty strings
+ */
+const tagPattern = ([open, close]) => {
+    if (typeof open !== 'string' || typeof close !== 'string' || !open || !close) {
+        throw new TypeError('Delimiters must be two non-empty strings, like [\'{{\', \'}}\']')
+    }
+
+    const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+    return new RegExp(`${escape(open)}(.*?)${escape(close)}`, 'gs')
+}
+
+/**
+ * Parses a template into a tree of text, expression and block nodes.
+ *
+ * Blocks:
+ * - `<!--#each list as item, index-->...<!--#else-->...<!--/each-->`
+ * - `<!--#if condition-->...<!--#else if other-->...<!--#else-->...<!--/if-->`
+ * - `<!--#with object-->...<!--#else-->...<!--/with-->`
+ * - `<!--#layout name args-->...<!--#fill slot-->...<!--/fill-->...<!--/layout-->`
+ * - `<!--#slot name-->fallback<!--/slot-->`
+ *
+ * `<!--> name args-->` is a partial node. Every other comment is an expression
+ * node, flagged `raw` when written as `<!--=html expr-->`. Nodes created from
+ * tags carry the line and column of the tag.
+ *
+ * With custom delimiters, tags are written with them instead of `<!--` and
+ * `-->` (`{{#each items}}...{{/each}}`), and HTML comments are plain text.
+ *
+ * @param {string} template - Template source
+ * @param {string[]} [delimiters=['<!--', '-->']] - Opening and closing delimiters
+ * @returns {Array<Object>} Root nodes
+ * @throws {SyntaxError} If blocks are unbalanced or malformed
+ *
+ * @example
+ * parse('<ul><!--#each items as item--><li><!--item--></li><!--/each--></ul>')
+ * // [
+ * //     { type: 'text', value: '<ul>' },
+ * //     { type: 'each', expression: 'items', item: 'item', index: null, children: [...], alternate: null },
+ * //     { type: 'text', value: '</ul>' }
+ * // ]
+ */
+export const parse = (template, delimiters = DEFAULT_DELIMITERS) => {
+    const [open, close] = delimiters
+    const root = []
+    const stack = [{ node: null, branch: root }]
+    let cursor = 0
+
+    // Tags come in order, so their positions are counted incrementally
+    const position = { line: 1, column: 1 }
+    let counted = 0
+
+    const advance = (index) => {
+        for (; counted < index; counted++) {
+            if (template[counted] === '\n') {
+                position.line++
+                position.column = 1
+            } else {
+                position.column++
+            }
+        }
+
+        return { ...position }
+    }
+
+    const fail = (message, index) => {
+        const { line, column } = locate(template, index)
+        return new SyntaxError(`${message} at line ${line}, column ${column}`)
+    }
+
+    for (const match of template.matchAll(tagPattern(delimiters))) {
+        const [tag, raw_code] = match
+        const code = raw_code.trim()
+        const frame = stack[stack.length - 1]
+        const { line, column } = advance(match.index)
+
+        if (match.index > cursor) {
+            frame.branch.push({ type: 'text', value: template.slice(cursor, match.index) })
+        }
+
+        cursor = match.index + tag.length
+
+        const keyword = code.match(/^#(each|if|with|layout|fill|slot)\b/)?.[1]
+
+        if (keyword) {
+            const args = code.match(BLOCKS[keyword])
+
+            if (!args) throw fail(`Invalid ${open}#${keyword}${close} block`, match.index)
+
+            const node = { type: keyword, children: [], source: code, position: match.index, line, column }
+
+            if (BRANCHING.includes(keyword)) {
+                node.expression = args[1].trim()
+                node.alternate = null
+            }
+
+            if (keyword === 'each') {
+                node.item = args[2] ?? null
+                node.index = args[3] ?? null
+            } else if (keyword === 'with') {
+                node.alias = args[2] ?? null
+            } else if (keyword === 'layout') {
+                node.name = args[1]
+                node.expression = args[2]?.trim() ?? null
+                node.fills = []
+            } else if (keyword === 'fill') {
+                if (frame.node?.type !== 'layout') {
+                    throw fail(`Unexpected ${open}#fill${close} outside of a ${open}#layout${close} block`, match.index)
+                }
+
+                if (frame.node.fills.some(fill => fill.name === args[1])) {
+                    throw fail(`Duplicate ${open}#fill ${args[1]}${close}`, match.index)
+                }
+
+                // Fills belong to their layout instead of its content
+                node.name = args[1]
+                frame.node.fills.push(node)
+                stack.push({ node, branch: node.children })
+                continue
+            } else if (keyword === 'slot') {
+                node.name = args[1] ?? 'default'
+            }
+
+            frame.branch.push(node)
+            stack.push({ node, branch: node.children })
+            continue
+        }
+
+        if (/^#else\b/.test(code)) {
+            if (!frame.node || !BRANCHING.includes(frame.node.type) || frame.node.alternate) {
+                throw fail(`Unexpected ${open}#else${close}`, match.index)
+            }
+
+            frame.node.alternate = []
+            frame.branch = frame.node.alternate
+
+            const condition = code.match(/^#else\s+if\s+(.+)$/s)
+
+            if (condition) {
+                if (frame.node.type !== 'if') {
+                    throw fail(`Unexpected ${open}#else if${close} in ${open}#${frame.node.type}${close}`, match.index)
+                }
+
+                // `#else if` opens an if block closed by the same <!--/if-->
+                const node = {
+                    type: 'if',
+                    expression: condition[1].trim(),
+                    children: [],
+                    alternate: null,
+                    source: code,
+                    position: match.index,
+                    line,
+                    column
+                }
+
+                frame.branch.push(node)
+                stack.push({ node, branch: node.children, chained: true })
+            }
+
+            continue
+        }
+
+        const closing = code.match(/^\/(each|if|with|layout|fill|slot)$/)?.[1]
+
+        if (closing) {
+            while (stack[stack.length - 1].chained) stack.pop()
+
+            const { node } = stack[stack.length - 1]
+
+            if (!node || node.type !== closing) {
+                const expected = node ? `, expected ${open}/${node.type}${close}` : ''
+                throw fail(`Unexpected ${open}/${closing}${close}${expected}`, match.index)
+            }
+
+            stack.pop()
+            continue
+        }
+
+        const partial = code.match(PARTIAL)
+
+        if (partial) {
+            frame.branch.push({
+                type: 'partial',
+                name: partial[1],
+                expression: partial[2]?.trim() ?? null,
+                source: code,
+                position: match.index,
+                line,
+                column
+            })
+            continue
+        }
+
+        const unescaped = code.match(/^=html\s+(.+)$/s)
+
+        frame.branch.push({
+            type: 'expression',
+            code: unescaped ? unescaped[1].trim() : code,
+            source: code,
+            raw: Boolean(unescaped),
+            position: match.index,
+            line,
+            column
+        })
+    }
+
+    if (cursor < template.length) {
+        stack[stack.length - 1].branch.push({ type: 'text', value: template.slice(cursor) })
+    }
+
+    const unclosed = stack.reverse().find(frame => frame.node && !frame.chained)
+
+    if (unclosed) {
+        throw fail(`Unclosed ${open}#${unclosed.node.type}${close} block`, unclosed.node.position)
+    }
+
+    return root
+}
@@ -0,0 +1,150 @@
+import { parse, DEFAULT_DELIMITERS } from './parser.js'
+import { isThenable } from './stream.js'
+
+/**
+ * Templates or loaders registered with registerPartial(), by name
+ * @constant {Map<string, string|Function>}
+ */
+const REGISTRY = new Map()
+
+/**
+ * Parsed registered partials (or promises of them, while loading), by name
+ * and then by delimiters
+ * @constant {Map<string, Map<string, Array<Object>|Promise<Array<Object>>>>}
+ */
+const PARSED = new Map()
+
+/**
+ * Parses the template of a partial, naming the partial in syntax errors.
+ *
+ * @param {string} name - Partial name
+ * @param {string} template - Partial template
+ * @param {string[]} delimiters - Opening and closing delimiters
+ * @returns {Array<Object>} Nodes from parse()
+ * @throws {SyntaxError} If the partial's blocks are unbalanced or malformed
+ */
+const parsePartial = (name, template, delimiters) => {
+    if (typeof template !== 'string') {
+        throw new TypeError(`Partial '${name}' must be a template string`)
+    }
+
+    try {
+        return parse(template, delimiters)
+    } catch (err) {
+        throw new SyntaxError(`${err.message} in partial '${name}'`)
+    }
+}
+
+/**
+ * Builds the key of a parsed partial in a cache.
+ *
+ * @param {string} name - Partial name
+ * @param {string[]} delimiters - Opening and closing delimiters
+ * @returns {string} Cache key
+ */
+const cacheKey = (name, delimiters) => {
+    return `${delimiters.join('\n')}\n${name}`
+}
+
+/**
+ * Parses a partial from its template or loader, caching the result. Loaders
+ * are called once; a loader returning a promise yields a promise of the
+ * nodes, and is called again on the next render if it fails.
+ *
+ * @param {string} name - Partial name
+ * @param {string|Function} source - Template, or function returning it (or a promise of it)
+ * @param {Map} cache - Parsed partials, by delimiters and name
+ * @param {string[]} delimiters - Opening and closing delimiters
+ * @returns {Array<Object>|Promise<Array<Object>>} Nodes from parse()
+ * @throws {SyntaxError} If the partial's blocks are unbalanced or malformed
+ */
+const loadPartial = (name, source, cache, delimiters) => {
+    const key = cacheKey(name, delimiters)
+
+    if (cache.has(key)) return cache.get(key)
+
+    const template = typeof source === 'function' ? source(name) : source
+    const nodes = isThenable(template)
+        ? Promise.resolve(template).then(template => parsePartial(name, template, delimiters))
+        : parsePartial(name, template, delimiters)
+
+    cache.set(key, nodes)
+
+    if (isThenable(nodes)) {
+        // Unless the partial was replaced while loading
+        const current = () => cache.get(key) === nodes
+
+        nodes.then(parsed => current() && cache.set(key, parsed), () => current() && cache.delete(key))
+    }
+
+    return nodes
+}
+
+/**
+ * Registers a partial for every replacer() and compile() call. Partials are
+ * included with `<!--> name-->` and used as layouts with
+ * `<!--#layout name-->...<!--/layout-->`.
+ *
+ * Instead of a template, a partial can be a loader function returning the
+ * template or a promise of it. Loaders run on first use; asynchronous ones
+ * need replacerAsync() or replacerStream().
+ *
+ * Templates are parsed right away with the given delimiters, so syntax errors
+ * are thrown here. Templates included with other delimiters, and the ones
+ * returned by loaders, are parsed on first use.
+ *
+ * @param {string} name - Partial name
+ * @param {string|Function} template - Partial template, or loader
+ * @param {Object} [options] - Options
+ * @param {string[]} [options.delimiters=['<!--', '-->']] - Delimiters of the templates including it
+ * @throws {TypeError} If the template is neither a string nor a function
+ * @throws {SyntaxError} If the template's blocks are unbalanced or malformed
+ *
+ * @example
+ * registerPartial('header', '<header><h1><!--title--></h1></header>')
+ * replacer('<!--> header {title: "Home"}--><main>...</main>', {})
+ * // '<header><h1>Home</h1></header><main>...</main>'
+ */
+export const registerPartial = (name, template, { delimiters = DEFAULT_DELIMITERS } = {}) => {
+    if (typeof template !== 'string' && typeof template !== 'function') {
+        throw new TypeError(`Partial '${name}' must be a template string or a loader function`)
+    }
+
+    const parsed = new Map()
+
+    if (typeof template === 'string') {
+        parsed.set(cacheKey(name, delimiters), parsePartial(name, template, delimiters))
+    }
+
+    REGISTRY.set(name, template)
+    PARSED.set(name, parsed)
+}
+
+/**
+ * Removes a partial registered with registerPartial().
+ *
+ * @param {string} name - Partial name
+ * @returns {boolean} Whether the partial existed
+ */
+export const unregisterPartial = (name) => {
+    PARSED.delete(name)
+    return REGISTRY.delete(name)
+}
+
+/**
+ * Finds the parsed nodes of a partial, preferring the ones passed in the
+ * options of the call over the registered ones.
+ *
+ * @param {string} name - Partial name
+ * @param {Object} options - Normalized render options
+ * @returns {Array<Object>|Promise<Array<Object>>|null} Nodes from parse(), a promise of them
+ *          for asynchronous loaders, or null if the partial doesn't exist
+ * @throws {SyntaxError} If the partial's blocks are unbalanced or malformed
+ */
+export const resolvePartial = (name, options) => {
+    if (Object.prototype.hasOwnProperty.call(options.partials, name)) {
+        return loadPartial(name, options.partials[name], options.partialCache, options.delimiters)
+    }
+
+    return REGISTRY.has(name) ? loadPartial(name, REGISTRY.get(name), PARSED.get(name), options.delimiters) : null
+}
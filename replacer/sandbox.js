@@ -0,0 +1,484 @@
+/**
+ * Punctuators recognized by the tokenizer, longest first
+ * @constant {string[]}
+ */
+const PUNCTUATORS = [
+    '===', '!==', '?.', '??', '==', '!=', '<=', '>=', '&&', '||',
+    '+', '-', '*', '/', '%', '<', '>', '!', '?', ':', '.', ',', '(', ')', '[', ']', '{', '}'
+]
+
+/**
+ * Binding power of each binary operator (higher binds tighter)
+ * @constant {Object<string, number>}
+ */
+const PRECEDENCE = {
+    '??': 3, '||': 3,
+    '&&': 4,
+    '==': 8, '!=': 8, '===': 8, '!==': 8,
+    '<': 9, '>': 9, '<=': 9, '>=': 9,
+    '+': 11, '-': 11,
+    '*': 12, '/': 12, '%': 12
+}
+
+/**
+ * Binding power of prefix operators
+ * @constant {number}
+ */
+const UNARY_PRECEDENCE = 14
+
+/**
+ * Implementations of the non short-circuiting binary operators
+ * @constant {Object<string, Function>}
+ */
+const BINARY_OPERATORS = {
+    '+': (a, b) => a + b,
+    '-': (a, b) => a - b,
+    '*': (a, b) => a * b,
+    '/': (a, b) => a / b,
+    '%': (a, b) => a % b,
+    '<': (a, b) => a < b,
+    '>': (a, b) => a > b,
+    '<=': (a, b) => a <= b,
+    '>=': (a, b) => a >= b,
+    '==': (a, b) => a == b,
+    '!=': (a, b) => a != b,
+    '===': (a, b) => a === b,
+    '!==': (a, b) => a !== b
+}
+
+/**
+ * Literal keywords and their values
+ * @constant {Object<string, *>}
+ */
+const LITERALS = { true: true, false: false, null: null, undefined: undefined }
+
+/**
+ * JavaScript keywords the sandbox refuses to parse
+ * @constant {string[]}
+ */
+const RESERVED = [
+    'this', 'new', 'function', 'class', 'delete', 'void', 'in', 'instanceof', 'await',
+    'yield', 'import', 'export', 'return', 'var', 'let', 'const', 'super', 'debugger'
+]
+
+/**
+ * Properties that could reach prototypes or constructors
+ * @constant {string[]}
+ */
+const DENIED_PROPERTIES = [
+    '__proto__', 'constructor', 'prototype',
+    '__defineGetter__', '__defineSetter__', '__lookupGetter__', '__lookupSetter__'
+]
+
+/**
+ * String escape sequences
+ * @constant {Object<string, string>}
+ */
+const ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', v: '\v', 0: '\0' }
+
+/**
+ * Marks an optional chain that hit null or undefined
+ * @constant {symbol}
+ */
+const SHORT_CIRCUIT = Symbol('short-circuit')
+
+/**
+ * Splits an expression into tokens.
+ *
+ * @param {string} source - Expression source
+ * @returns {Array<{type: string, value: *, position: number}>} Tokens
+ * @throws {SyntaxError} On unexpected characters or unterminated strings
+ */
+const tokenize = (source) => {
+    const tokens = []
+    let index = 0
+
+    while (index < source.length) {
+        const char = source[index]
+
+        if (/\s/.test(char)) {
+            index++
+            continue
+        }
+
+        const number = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/.exec(source.slice(index))
+
+        if (number) {
+            tokens.push({ type: 'number', value: Number(number[0]), position: index })
+            index += number[0].length
+            continue
+        }
+
+        const identifier = /^[A-Za-z_$][\w$]*/.exec(source.slice(index))
+
+        if (identifier) {
+            tokens.push({ type: 'identifier', value: identifier[0], position: index })
+            index += identifier[0].length
+            continue
+        }
+
+        if (char === '"' || char === "'") {
+            let value = ''
+            let cursor = index + 1
+
+            while (cursor < source.length && source[cursor] !== char) {
+                if (source[cursor] === '\\') {
+                    const next = source[cursor + 1]
+                    const unicode = next === 'u' ? source.slice(cursor + 2, cursor + 6) : null
+
+                    if (unicode && /^[\da-fA-F]{4}$/.test(unicode)) {
+                        value += String.fromCharCode(parseInt(unicode, 16))
+                        cursor += 6
+                    } else {
+                        value += ESCAPES[next] ?? next
+                        cursor += 2
+                    }
+                } else {
+                    value += source[cursor++]
+                }
+            }
+
+            if (cursor >= source.length) {
+                throw new SyntaxError(`Unterminated string at position ${index}`)
+            }
+
+            tokens.push({ type: 'string', value, position: index })
+            index = cursor + 1
+            continue
+        }
+
+        // `a?.5:1` is a ternary, not an optional chain
+        const punctuator = PUNCTUATORS.find(candidate => {
+            return source.startsWith(candidate, index) && !(candidate === '?.' && /\d/.test(source[index + 2]))
+        })
+
+        if (!punctuator) {
+            throw new SyntaxError(`Unexpected character '${char}' at position ${index}`)
+        }
+
+        tokens.push({ type: 'punctuator', value: punctuator, position: index })
+        index += punctuator.length
+    }
+
+    return tokens
+}
+
+/**
+ * Parses an expression into an abstract syntax tree.
+ *
+ * Supported: literals (numbers, strings, booleans, null, undefined), array and
+ * object literals, variables, member access (`a.b`, `a[b]`, `a?.b`), helper
+ * calls (`name(args)`), unary `!`, `-`, `+` and `typeof`, arithmetic,
+ * comparisons, `&&`, `||`, `??` and the ternary operator. Statements,
+ * assignments, functions and `new` are rejected.
+ *
+ * @param {string} source - Expression source
+ * @returns {Object} Expression tree
+ * @throws {SyntaxError} If the expression is invalid or unsupported
+ *
+ * @example
+ * parseExpression('user.age >= 18 ? "adult" : "minor"')
+ * // { type: 'Conditional', test: { type: 'Binary', ... }, consequent: ..., alternate: ... }
+ */
+export const parseExpression = (source) => {
+    const tokens = tokenize(source)
+    let index = 0
+
+    const peek = () => tokens[index]
+    const next = () => tokens[index++]
+
+    const fail = (token, message) => {
+        const where = token ? `'${token.value}' at position ${token.position}` : 'end of expression'
+        return new SyntaxError(message ?? `Unexpected ${where}`)
+    }
+
+    const isPunctuator = (value, token = peek()) => token?.type === 'punctuator' && token.value === value
+
+    const expect = (value) => {
+        const token = next()
+        if (!isPunctuator(value, token)) throw fail(token)
+        return token
+    }
+
+    const parseList = (closing, parseItem) => {
+        const items = []
+
+        while (!isPunctuator(closing)) {
+            items.push(parseItem())
+            if (!isPunctuator(closing)) expect(',')
+        }
+
+        expect(closing)
+        return items
+    }
+
+    const parsePrimary = () => {
+        const token = next()
+
+        if (!token) throw fail(token)
+
+        if (token.type === 'number' || token.type === 'string') {
+            return { type: 'Literal', value: token.value }
+        }
+
+        if (token.type === 'identifier') {
+            if (token.value in LITERALS) return { type: 'Literal', value: LITERALS[token.value] }
+
+            if (token.value === 'typeof') {
+                return { type: 'Unary', operator: 'typeof', argument: parse(UNARY_PRECEDENCE) }
+            }
+
+            if (RESERVED.includes(token.value)) {
+                throw fail(token, `'${token.value}' is not supported in sandboxed expressions`)
+            }
+
+            return { type: 'Identifier', name: token.value }
+        }
+
+        switch (token.value) {
+            case '(': {
+                const expression = parse(0)
+                expect(')')
+                return expression
+            }
+            case '[':
+                return { type: 'Array', elements: parseList(']', () => parse(0)) }
+            case '{':
+                return {
+                    type: 'Object',
+                    properties: parseList('}', () => {
+                        const key = next()
+
+                        if (isPunctuator('[', key)) {
+                            const computed = parse(0)
+                            expect(']')
+                            expect(':')
+                            return { key: computed, computed: true, value: parse(0) }
+                        }
+
+                        if (!key || key.type === 'punctuator') throw fail(key)
+
+                        // Shorthand `{ name }`
+                        if (key.type === 'identifier' && !isPunctuator(':')) {
+                            return { key: key.value, computed: false, value: { type: 'Identifier', name: key.value } }
+                        }
+
+                        expect(':')
+                        return { key: String(key.value), computed: false, value: parse(0) }
+                    })
+                }
+            case '!':
+            case '-':
+            case '+':
+                return { type: 'Unary', operator: token.value, argument: parse(UNARY_PRECEDENCE) }
+        }
+
+        throw fail(token)
+    }
+
+    const parsePostfix = (expression) => {
+        let chained = false
+
+        while (true) {
+            const token = peek()
+            const optional = isPunctuator('?.', token)
+
+            if (optional) {
+                chained = true
+                next()
+            }
+
+            if (isPunctuator('.') || (optional && peek()?.type === 'identifier')) {
+                if (!optional) next()
+
+                const property = next()
+
+                if (property?.type !== 'identifier') throw fail(property)
+
+                expression = { type: 'Member', object: expression, property: { type: 'Literal', value: property.value }, optional }
+            } else if (isPunctuator('[')) {
+                next()
+                const property = parse(0)
+                expect(']')
+                expression = { type: 'Member', object: expression, property, optional }
+            } else if (isPunctuator('(')) {
+                next()
+                expression = { type: 'Call', callee: expression, args: parseList(')', () => parse(0)), optional }
+            } else if (optional) {
+                throw fail(peek())
+            } else {
+                break
+            }
+        }
+
+        return chained ? { type: 'Chain', expression } : expression
+    }
+
+    const parse = (min_precedence) => {
+        let left = parsePostfix(parsePrimary())
+
+        while (true) {
+            const token = peek()
+
+            if (token?.type !== 'punctuator') break
+
+            if (token.value === '?') {
+                if (min_precedence > 1) break
+
+                next()
+                const consequent = parse(0)
+                expect(':')
+                left = { type: 'Conditional', test: left, consequent, alternate: parse(1) }
+                continue
+            }
+
+            const precedence = PRECEDENCE[token.value]
+
+            if (!precedence || precedence <= min_precedence) break
+
+            next()
+
+            const right = parse(precedence)
+            const logical = token.value === '&&' || token.value === '||' || token.value === '??'
+
+            left = { type: logical ? 'Logical' : 'Binary', operator: token.value, left, right }
+        }
+
+        return left
+    }
+
+    const expression = parse(0)
+
+    if (index < tokens.length) throw fail(peek())
+
+    return expression
+}
+
+/**
+ * Reads a property, refusing the ones that lead to prototypes or constructors.
+ *
+ * @param {*} object - Object to read from
+ * @param {*} key - Property key
+ * @returns {*} Property value
+ * @throws {TypeError} If the object is null or undefined, or the property is denied
+ */
+const readProperty = (object, key) => {
+    if (object === null || object === undefined) {
+        throw new TypeError(`Cannot read properties of ${object} (reading '${String(key)}')`)
+    }
+
+    if (DENIED_PROPERTIES.includes(String(key))) {
+        throw new TypeError(`Access to '${String(key)}' is not allowed`)
+    }
+
+    return object[key]
+}
+
+/**
+ * Evaluates a parsed expression. Variables resolve only to the own properties
+ * of `scope`, and only the own functions of `helpers` can be called, so
+ * templates can't reach globals.
+ *
+ * @param {Object} node - Tree from parseExpression()
+ * @param {Object} scope - Variables available to the expression
+ * @param {Object<string, Function>} [helpers={}] - Functions the expression may call
+ * @returns {*} Result
+ * @throws {ReferenceError} If a variable or helper doesn't exist
+ * @throws {TypeError} On invalid property access or calls
+ *
+ * @example
+ * evaluateExpression(parseExpression('upper(user.name)'), { user: { name: 'ana' } }, { upper: s => s.toUpperCase() })
+ * // 'ANA'
+ */
+export const evaluateExpression = (node, scope, helpers = {}) => {
+    const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key)
+
+    const visit = (node) => {
+        switch (node.type) {
+            case 'Literal':
+                return node.value
+            case 'Identifier':
+                if (!hasOwn(scope, node.name)) throw new ReferenceError(`${node.name} is not defined`)
+                return scope[node.name]
+            case 'Array':
+                return node.elements.map(visit)
+            case 'Object': {
+                const object = {}
+
+                for (const property of node.properties) {
+                    const key = property.computed ? String(visit(property.key)) : property.key
+
+                    // defineProperty never triggers the __proto__ setter
+                    Object.defineProperty(object, key, {
+                        value: visit(property.value),
+                        enumerable: true,
+                        writable: true,
+                        configurable: true
+                    })
+                }
+
+                return object
+            }
+            case 'Chain': {
+                const result = visit(node.expression)
+                return result === SHORT_CIRCUIT ? undefined : result
+            }
+            case 'Member': {
+                const object = visit(node.object)
+
+                if (object === SHORT_CIRCUIT) return SHORT_CIRCUIT
+                if (node.optional && (object === null || object === undefined)) return SHORT_CIRCUIT
+
+                return readProperty(object, visit(node.property))
+            }
+            case 'Call': {
+                if (node.callee.type !== 'Identifier') {
+                    throw new TypeError('Only helpers can be called in sandboxed expressions')
+                }
+
+                const { name } = node.callee
+
+                if (!hasOwn(helpers, name) || typeof helpers[name] !== 'function') {
+                    throw new ReferenceError(`Helper '${name}' is not registered`)
+                }
+
+                const helper = helpers[name]
+
+                return helper(...node.args.map(visit))
+            }
+            case 'Unary': {
+                // Like JavaScript, typeof tolerates undeclared variables
+                if (node.operator === 'typeof' && node.argument.type === 'Identifier' && !hasOwn(scope, node.argument.name)) {
+                    return 'undefined'
+                }
+
+                const argument = visit(node.argument)
+
+                switch (node.operator) {
+                    case '!': return !argument
+                    case '-': return -argument
+                    case '+': return +argument
+                    case 'typeof': return typeof argument
+                }
+
+                break
+            }
+            case 'Binary':
+                return BINARY_OPERATORS[node.operator](visit(node.left), visit(node.right))
+            case 'Logical': {
+                const left = visit(node.left)
+
+                if (node.operator === '&&') return left && visit(node.right)
+                if (node.operator === '||') return left || visit(node.right)
+
+                return left ?? visit(node.right)
+            }
+            case 'Conditional':
+                return visit(node.test) ? visit(node.consequent) : visit(node.alternate)
+        }
+
+        throw new TypeError(`Unknown expression node '${node.type}'`)
+    }
+
+    return visit(node)
+}
@@ -0,0 +1,137 @@
+/**
+ * Words that can't name a parameter in strict-mode code
+ * @constant {Set<string>}
+ */
+const RESERVED = new Set([
+    'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete',
+    'do', 'else', 'enum', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'import',
+    'in', 'instanceof', 'new', 'null', 'return', 'super', 'switch', 'this', 'throw', 'true', 'try',
+    'typeof', 'var', 'void', 'while', 'with', 'yield', 'let', 'static', 'implements', 'interface',
+    'package', 'private', 'protected', 'public', 'eval', 'arguments'
+])
+
+/**
+ * Identifiers that aren't property names (`.name`, `?.name`) or private names
+ * (`#name`). Spread (`...name`) is kept.
+ * @constant {RegExp}
+ */
+const IDENTIFIER = /(?<![\p{ID_Continue}$#\u200c\u200d])(?<!(?:^|[^.])\.)[\p{ID_Start}$_][\p{ID_Continue}$\u200c\u200d]*/gu
+
+/**
+ * Operands of `typeof`, which doesn't throw for undeclared variables
+ * @constant {RegExp}
+ */
+const TYPEOF_OPERAND = /\btypeof\s*\(?\s*([\p{ID_Start}$_][\p{ID_Continue}$\u200c\u200d]*)/gu
+
+/**
+ * JavaScript source that toSource() inserts verbatim. Created with verbatim().
+ */
+class Verbatim {
+    /**
+     * @param {string} source - JavaScript source
+     */
+    constructor(source) {
+        this.source = source
+    }
+}
+
+/**
+ * Marks JavaScript source, like a function, to be inserted verbatim by toSource().
+ *
+ * @param {string} source - JavaScript source
+ * @returns {Verbatim} Wrapped source
+ */
+export const verbatim = (source) => {
+    return new Verbatim(source)
+}
+
+/**
+ * Serializes a value to the source of a JavaScript expression. Unlike JSON,
+ * `undefined`, `NaN`, `Infinity`, `-0` and bigints survive the round trip.
+ *
+ * @param {*} value - Primitive, array, plain object or verbatim() source
+ * @returns {string} JavaScript source
+ * @throws {TypeError} If the value (or a nested one) can't be serialized
+ *
+ * @example
+ * toSource({ a: [1, undefined, 1e999], b: -0 })  // '{"a":[1,undefined,Infinity],"b":-0}'
+ */
+export const toSource = (value) => {
+    if (value instanceof Verbatim) return value.source
+    if (value === undefined) return 'undefined'
+    if (typeof value === 'number') return Object.is(value, -0) ? '-0' : String(value)
+    if (typeof value === 'bigint') return `${value}n`
+    if (value === null || typeof value === 'boolean' || typeof value === 'string') return JSON.stringify(value)
+
+    if (Array.isArray(value)) {
+        // Holes are kept as holes
+        return `[${Array.from(value.keys(), index => (index in value ? toSource(value[index]) : '')).join(',')}]`
+    }
+
+    const prototype = typeof value === 'object' ? Object.getPrototypeOf(value) : undefined
+
+    if (prototype !== Object.prototype && prototype !== null) {
+        throw new TypeError(`Can't serialize ${Object.prototype.toString.call(value)} to JavaScript source`)
+    }
+
+    return `{${Object.entries(value).map(([key, item]) => {
+        // A plain `__proto__` key would set the prototype instead
+        const name = key === '__proto__' ? `[${JSON.stringify(key)}]` : JSON.stringify(key)
+
+        return `${name}:${toSource(item)}`
+    }).join(',')}}`
+}
+
+/**
+ * Writes the source of the function compileFunction() would build for
+ * placeholder code, for precompiled templates. Variables can't be known
+ * ahead of time, so every identifier the code may read becomes a variable.
+ * Statements run in an inner function, so their declarations don't clash
+ * with those variables.
+ *
+ * The function receives the values of `names` and whether each one is
+ * defined. Each variable is declared in its own nested function, which
+ * skips the declaration of an undefined one: reading it then throws a
+ * ReferenceError, as an undeclared variable would. Operands of `typeof`
+ * are always declared, so `typeof name` keeps working.
+ *
+ * @param {string} code - Trimmed placeholder code
+ * @returns {{names: Array<string>, source: string}|null} Variable names and
+ *          function source, or null if the code doesn't compile in strict mode
+ */
+export const toFunctionSource = (code) => {
+    const names = [...new Set(code.match(IDENTIFIER) ?? [])].filter(name => !RESERVED.has(name))
+    const guarded = new Set(Array.from(code.matchAll(TYPEOF_OPERAND), match => match[1]))
+    const isExpression = !code.includes(';') && !code.startsWith('return')
+    const taken = new Set(names)
+
+    // Names of our own can't shadow the variables of the code
+    const unique = (name) => {
+        while (taken.has(name)) name = `_${name}`
+        taken.add(name)
+        return name
+    }
+
+    const values = unique('values')
+    const defined = unique('defined')
+    const steps = names.map((name, index) => unique(`declare${index + 1}`))
+
+    let body = isExpression ? `return (${code});` : `return (() => {\n${code}\n})();`
+
+    for (let index = names.length - 1; index >= 0; index--) {
+        const next = steps[index]
+        const skip = guarded.has(names[index]) ? '' : `if (!${defined}[${index}]) return ${next}(); `
+
+        body = `${skip}let ${names[index]} = ${values}[${index}]; return ${next}(); function ${next}() { ${body} }`
+    }
+
+    const source = `function (${values}, ${defined}) { ${body} }`
+
+    try {
+        new Function(`"use strict";\nreturn ${source}`)
+    } catch {
+        return null
+    }
+
+    return { names, source }
+}
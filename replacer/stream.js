@@ -0,0 +1,104 @@
+/**
+ * Checks whether a value is a promise or another thenable.
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the value has a then() method
+ */
+export const isThenable = (value) => {
+    return value !== null && (typeof value === 'object' || typeof value === 'function') && typeof value.then === 'function'
+}
+
+/**
+ * Passes a value to a callback, waiting for it first when it's a promise and
+ * the render is asynchronous. Synchronous renders treat promises as plain
+ * values.
+ *
+ * The returned promise is marked as handled: its rejection surfaces where the
+ * output is consumed, not as an unhandled rejection.
+ *
+ * @param {*} value - Value or promise
+ * @param {Object} options - Render options
+ * @param {Function} onValue - Receives the value
+ * @param {Function} [onError] - Receives the rejection reason
+ * @returns {*} Result of the callback, or a promise of it
+ */
+export const settle = (value, options, onValue, onError) => {
+    if (!options.async || !isThenable(value)) return onValue(value)
+
+    const promise = Promise.resolve(value).then(onValue, onError)
+    promise.catch(() => {})
+
+    return promise
+}
+
+/**
+ * Joins the output parts of a synchronous render. Parts that aren't strings,
+ * like the results of a custom `escape` function, are converted to strings.
+ *
+ * @param {Array<*>} parts - Strings, nested parts and other values
+ * @returns {string} Output
+ */
+export const joinParts = (parts) => {
+    return parts.map(part => (Array.isArray(part) ? joinParts(part) : String(part))).join('')
+}
+
+/**
+ * Yields the output parts of an asynchronous render in document order. Ready
+ * output is flushed as one chunk before waiting for each pending part. Other
+ * values are converted to strings, as in joinParts().
+ *
+ * @param {Array<*>} parts - Strings, nested parts, promises of them and other values
+ * @yields {string} Output chunks
+ */
+export async function* streamParts(parts) {
+    const stack = [parts.values()]
+    let buffer = ''
+
+    while (stack.length) {
+        const { value: part, done } = stack[stack.length - 1].next()
+
+        if (done) {
+            stack.pop()
+        } else if (typeof part === 'string') {
+            buffer += part
+        } else if (Array.isArray(part)) {
+            stack.push(part.values())
+        } else if (isThenable(part)) {
+            if (buffer) yield buffer
+            buffer = ''
+
+            stack.push([await part].values())
+        } else {
+            buffer += String(part)
+        }
+    }
+
+    if (buffer) yield buffer
+}
+
+/**
+ * Wraps the chunks of replacerStream() (or any async iterable) in a
+ * ReadableStream, for `fetch` Responses and other Web Streams APIs.
+ *
+ * @param {AsyncIterable<string>} chunks - Output chunks
+ * @returns {ReadableStream<string>} Stream of the chunks
+ *
+ * @example
+ * const body = toReadableStream(replacerStream(page, { user: loadUser() }))
+ * return new Response(body.pipeThrough(new TextEncoderStream()), { headers: { 'Content-Type': 'text/html' } })
+ */
+export const toReadableStream = (chunks) => {
+    const iterator = chunks[Symbol.asyncIterator]()
+
+    return new ReadableStream({
+        async pull(controller) {
+            const { value, done } = await iterator.next()
+
+            if (done) controller.close()
+            else controller.enqueue(value)
+        },
+        async cancel(reason) {
+            await iterator.return?.(reason)
+        }
+    })
+}